@@ -1,113 +1,399 @@
 #!/usr/bin/env node
 
 const { program } = require('commander');
+const { Table } = require('console-table-printer');
 const fs = require('fs').promises;
 const path = require('path');
-const { traverseAndMinifyDirectory, processFile } = require('../src/minifier'); // Adjust path if needed
+const { scanDirectory, minifyFiles, prepareCssPurge, processFile, saveRunState, displayResultsTable, listIgnoredPaths } = require('../src/minifier'); // Adjust path if needed
+const { minifyCode } = require('../src/index');
+const { resolveOptions, prepareRun } = require('../src/run-options');
+const { loadConfig, mergeOptions, resolveFileOptions } = require('../src/config');
+const { getIgnoreMatch, getIgnoreSettings } = require('../src/ignore');
+const { watch } = require('../src/watcher');
+const { DEFAULT_CACHE_FILE } = require('../src/cache');
+const { FILE_TYPES, OPT_IN_EXTENSION_TYPES, getFileType } = require('../src/file-types');
+const { hasBudgets, checkBudgets } = require('../src/budgets');
+const { REPORT_FORMATS, resolveReportFormat, summarizeResults, formatReport, writeReport } = require('../src/report');
+const { BACKUP_DIR, createBackupRun, listBackupRuns, restoreBackupRun } = require('../src/backup');
+const { getUncommittedChanges } = require('../src/git');
+const { loadNameCache, saveNameCache } = require('../src/name-cache');
 
 // Assuming package.json is in the parent directory of 'bin'
 const pkgJson = require('../package.json');
 const pkgVersion = pkgJson.version;
 
 /**
- * Loads ignore patterns from a file (e.g., .minifierignore).
- * @param {string} ignoreFilePath - The path to the ignore file.
- * @returns {Promise<string[]>} An array of patterns.
+ * Reads all of stdin.
+ * @returns {Promise<string>} The input as UTF-8 text.
  */
-async function loadIgnoreFile(ignoreFilePath) {
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Minifies code from stdin to stdout (`minifier - --type css`). Nothing but the minified code is written to
+ * stdout; errors go to stderr and set a non-zero exit code.
+ * @param {object} options The merged CLI and config options.
+ */
+async function minifyStdin(options) {
+  const type = options.type
+    ? options.type.toLowerCase()
+    : (options.filename ? getFileType(options.filename, options) || OPT_IN_EXTENSION_TYPES[path.extname(options.filename).toLowerCase()] || null : null);
+  if (!FILE_TYPES.includes(type) && !Object.values(options.extensions).includes(type)) {
+    console.error(options.type || options.filename
+      ? `Error: Unsupported type '${options.type || path.extname(options.filename)}'. Use --type with one of ${FILE_TYPES.join(', ')}.`
+      : `Error: Reading from stdin needs --type (${FILE_TYPES.join(', ')}) or a --filename to infer it from.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Per-file overrides from the config file apply to the --filename hint
+  const fileOptions = options.filename ? resolveFileOptions(path.resolve(process.cwd(), options.filename), options) : options;
+
   try {
-    const content = await fs.readFile(ignoreFilePath, 'utf8');
-    // Split by new line, filter out empty lines and comments
-    return content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return []; // File not found is not an error, just means no patterns to load.
-    }
-    console.error(`Error reading ignore file '${ignoreFilePath}': ${error.message}`);
-    return [];
+    const nameCachePath = options.nameCache ? path.resolve(process.cwd(), options.nameCache) : null;
+    const sharedNameCache = nameCachePath ? await loadNameCache(nameCachePath) : undefined;
+    const code = await readStdin();
+    const { code: minified, map } = await minifyCode(code, {
+      ...fileOptions,
+      type,
+      filename: options.filename,
+      sourceMap: Boolean(options.sourceMapOut || options.inlineSourceMap),
+      sharedNameCache,
+    });
+    if (nameCachePath) await saveNameCache(nameCachePath, sharedNameCache);
+    if (options.sourceMapOut && map) {
+      const sourceMapOutPath = path.resolve(process.cwd(), options.sourceMapOut);
+      await fs.mkdir(path.dirname(sourceMapOutPath), { recursive: true });
+      await fs.writeFile(sourceMapOutPath, map, 'utf8');
+    }
+    process.stdout.write(minified);
+  } catch (stdinError) {
+    console.error(`Error minifying stdin${options.filename ? ` (${options.filename})` : ''}:\n${stdinError.message}`);
+    process.exitCode = 1;
   }
 }
 
 program
+  // Options after a subcommand belong to it, e.g. `minifier restore --force`
+  .enablePositionalOptions()
   .version(pkgVersion)
   .name('minifier')
-  .description('Minifies .js, .css, and .html files recursively, with options.')
-  .argument('<path>', 'The path to the directory or file to minify.')
+  .description('Minifies .js, .mjs, .cjs, .css, .html, .json and .svg files recursively, with options.')
+  .argument('<path>', 'The path to the directory or file to minify, or - to read from stdin and write to stdout.')
   // --- ENHANCED OPTIONS ---
   .option('--no-verbose', 'Disable verbose logging for detailed output.', true)
   .option('--dry-run', 'Simulate minification without writing any files.', false)
   // --- CORE OPTIONS ---
   .option('-d, --drop-console', 'Drop console.log statements in JavaScript.', false)
+  .option('--no-drop-console', 'Keep console.log statements in JavaScript (overrides a config file).')
   .option('-m, --mangle', 'Mangle variable and function names in JavaScript.', true)
   .option('--no-mangle', 'Do not mangle variable and function names in JavaScript.')
+  .option('--mangle-props', 'Also mangle property names in JavaScript, the same way in every file of the run.', false)
+  .option('--mangle-props-regex <pattern>', 'With --mangle-props: only mangle properties matching this regular expression, e.g. "^_" or "/^_/i".')
+  .option('--mangle-props-reserved <names>', 'With --mangle-props: comma-separated property names never to mangle. Repeatable.', (value, previous) => (previous || []).concat(value.split(',')))
+  .option('--name-cache <file>', 'Mangle names the same way in every file, and keep the mangled names in this file so later runs reuse them.')
   .option('--no-collapse-whitespace', 'Do not collapse whitespace in HTML.')
   .option('--no-remove-comments', 'Do not remove comments in HTML.')
   .option('--no-remove-redundant-attributes', 'Do not remove redundant attributes in HTML.')
   .option('--no-use-short-doctype', 'Do not replace doctype with short HTML5 doctype.')
   .option('--no-minify-css', 'Do not minify CSS in <style> tags within HTML.')
   .option('--no-minify-js', 'Do not minify JS in <script> tags within HTML.')
+  .option('--verify', 'Re-parse each output (JavaScript, CSS, JSON) or compare its element structure (HTML, SVG) before writing it; files that fail are reported as errors and left untouched.', false)
+  .option('--no-skip-minified', 'Also minify files that are already minified (*.min.js, vendor bundles, files of long dense lines).')
+  .option('--purge-css', 'Remove CSS rules whose class names, ids and tags appear in none of the HTML and JavaScript files of the run.', false)
+  .option('--purge-safelist <patterns>', 'Comma-separated class names, ids or tags to keep with --purge-css: names, globs ("js-*") or /regular expressions/. Repeatable.', (value, previous) => (previous || []).concat(value.split(',')))
+  .option('--targets <query>', 'Browsers to support, as a browserslist query (e.g. "defaults, not op_mini all"). Sets the JavaScript syntax Terser may emit and the browsers cssnano optimizes for.')
+  .option('--plugin <module>', 'Load a plugin: a package name or a path to a module relative to the current directory. Repeatable.', (value, previous) => (previous || []).concat(value))
+  .option('--extensions <mappings>', `Minify extra extensions with an existing minifier, e.g. ".htm=html,.xhtml=html" (types: ${FILE_TYPES.join(', ')}).`)
   .option('-i, --ignore <paths>', 'Comma-separated list of file/directory patterns to ignore.', (value, previous) => (previous || []).concat(value.split(',')), [])
   .option('--ignore-path <file>', 'Path to a .minifierignore file (e.g., ./.minifierignore).')
+  .option('--no-default-ignores', 'Do not skip the config, RC, package.json and similar files ignored by default.')
+  .option('--list-ignored', 'List the files and directories the ignore rules exclude, and why, without minifying anything.', false)
+  .option('--respect-gitignore', 'Also skip the files and directories git ignores (.gitignore, .git/info/exclude).', false)
+  .option('--changed-since <ref>', 'Only minify files changed since a git ref (e.g. origin/main), including uncommitted and untracked ones.')
+  .option('--staged', 'Only minify files staged in git (e.g. from a pre-commit hook).', false)
   .option('-s, --source-map', 'Generate source maps for minified files.', false)
+  .option('--inline-source-map', 'Embed the source map in the minified file as a data: URI instead of writing a .map file (implies --source-map).', false)
   .option('--source-map-dir <directory>', 'Specify a directory to save source maps, relative to the original file\'s directory.')
-  .option('-o, --output-dir <path>', 'Specify an output directory for minified files, relative or absolute. Can include a renaming pattern (e.g., "**/*.min.js").')
-  .action(async (inputPath, options) => {
+  .option('-o, --output-dir <path>', 'Specify an output directory for minified files, relative or absolute. Can include a renaming pattern (e.g., "**/*.min.js") or a content-hashed filename pattern (e.g., "dist/[name].[hash:8].[ext]").')
+  .option('-c, --config <file>', 'Path to a config file. By default minifier.config.{js,json} or a "minifier" key in package.json is searched for upwards from <path>.')
+  .option('--no-config', 'Do not load any config file.')
+  .option('-j, --concurrency <n>', 'Number of files to minify in parallel using worker threads (default: number of CPUs).', (value) => parseInt(value, 10))
+  .option('--compress <formats>', 'Write precompressed copies next to each minified file (comma-separated: gzip, brotli).')
+  .option('--gzip-level <n>', 'Gzip compression level, 0-9 (default: 9).', (value) => parseInt(value, 10))
+  .option('--brotli-level <n>', 'Brotli compression quality, 0-11 (default: 11).', (value) => parseInt(value, 10))
+  .option('--cache', 'Skip files whose content and options are unchanged since the last run.', false)
+  .option('--cache-location <file>', `Path to the cache manifest used by --cache (default: ./${DEFAULT_CACHE_FILE}).`)
+  .option('--budget <spec>', 'Fail the run if outputs exceed a size budget, e.g. "dist/**/*.js <= 50KB gzip" or "total **/*.css <= 120KB". Repeatable.', (value, previous) => (previous || []).concat(value), [])
+  .option('--min-reduction <percent>', 'Fail the run if any file is reduced by less than this percentage.', (value) => parseFloat(value))
+  .option('--report <format>', `Write a machine-readable report of the run (${REPORT_FORMATS.join(', ')}). Printed to stdout unless --report-file is given.`)
+  .option('--report-file <path>', 'Write the report to a file instead of stdout. The format is inferred from a .json, .md or .xml extension.')
+  .option('--silent', 'Only print errors and budget violations: no per-file logs and no summary table.', false)
+  .option('--type <type>', `With - as the path: the type of the code on stdin (${FILE_TYPES.join(', ')}).`)
+  .option('--filename <name>', 'With - as the path: the file name of the code on stdin, used to infer --type and in source maps.')
+  .option('--source-map-out <file>', 'With - as the path: write the source map to this file.')
+  .option('--no-backup', `Do not keep the originals of files minified in place (in ./${BACKUP_DIR}/<run-id>/).`)
+  .option('-f, --force', 'Minify in place even if the target has uncommitted git changes.', false)
+  .option('-w, --watch', 'Keep running after the first pass and re-minify files as they change.', false)
+  .action(async (inputPath, options, command) => {
     const absolutePath = path.resolve(process.cwd(), inputPath);
-    let ignorePatterns = [];
 
-    let basePathForIgnore;
+    const fromStdin = inputPath === '-';
+    let basePathForIgnore = process.cwd();
     try {
-      const stat = await fs.stat(absolutePath);
-      basePathForIgnore = stat.isDirectory() ? absolutePath : path.dirname(absolutePath);
+      if (!fromStdin) {
+        const stat = await fs.stat(absolutePath);
+        basePathForIgnore = stat.isDirectory() ? absolutePath : path.dirname(absolutePath);
+      }
     } catch (error) {
       console.error(`Error: Could not find path '${inputPath}'. Please provide a valid file or directory.`);
       process.exit(1);
     }
 
-    // Determine the ignore file path, prioritizing the CLI option
-    const minifierIgnoreFile = options.ignorePath
-      ? path.resolve(process.cwd(), options.ignorePath)
-      : path.join(basePathForIgnore, '.minifierignore');
+    // Load the project config; options passed explicitly on the command line take precedence over it
+    let loadedConfig = { config: {}, filePath: null };
+    if (options.config !== false) {
+      try {
+        const explicitConfigPath = options.config ? path.resolve(process.cwd(), options.config) : undefined;
+        loadedConfig = await loadConfig(basePathForIgnore, explicitConfigPath);
+      } catch (configError) {
+        console.error(`Error: ${configError.message}`);
+        process.exit(1);
+      }
+    }
+    const cliKeys = Object.keys(options).filter(key => command.getOptionValueSource(key) === 'cli');
+    options = mergeOptions(loadedConfig.config, options, cliKeys);
 
-    if (options.verbose) {
-        console.log(`Searching for ignore file at: ${minifierIgnoreFile}`);
+    // Validated and parsed like minifyDirectory does: paths, plugins, targets, budgets, compression, ...
+    try {
+      options = resolveOptions(options);
+    } catch (optionsError) {
+      console.error(`Error: ${optionsError.message}`);
+      process.exit(1);
+    }
+
+    if (fromStdin) {
+      await minifyStdin(options);
+      return;
+    }
+
+    try {
+      options.report = resolveReportFormat(options.report, options.reportFile);
+    } catch (reportError) {
+      console.error(`Error: ${reportError.message}`);
+      process.exit(1);
     }
-    ignorePatterns = await loadIgnoreFile(minifierIgnoreFile);
+    // A report on stdout has to be the only thing there
+    if (options.report && !options.reportFile) options.silent = true;
+    if (options.silent) options.verbose = false;
 
-    // Add patterns from the --ignore flag
-    if (options.ignore && options.ignore.length > 0) {
-      ignorePatterns = ignorePatterns.concat(options.ignore);
+    // Without --output-dir the sources are overwritten: don't mix that with uncommitted work, which git can't give back
+    const inPlace = !options.outputDir && !options.dryRun && !options.listIgnored;
+    if (inPlace && !options.force) {
+      const changes = await getUncommittedChanges(absolutePath);
+      if (changes && changes.length > 0) {
+        console.error(`Error: Refusing to minify in place: '${inputPath}' has uncommitted changes:`);
+        changes.slice(0, 10).forEach(changedPath => console.error(`  ${changedPath}`));
+        if (changes.length > 10) console.error(`  ...and ${changes.length - 10} more`);
+        console.error('Commit or stash them, use --output-dir, or pass --force.');
+        process.exit(1);
+      }
+    }
+
+    if (options.verbose && loadedConfig.filePath) {
+        console.log(`Using config file: ${loadedConfig.filePath}`);
+    }
+
+    // Per-file lines are dropped in silent mode; warnings and errors still reach stderr
+    const logger = options.silent ? { log() {}, warn: console.warn, error: console.error } : console;
+
+    let minifierOptions;
+    let ignoreFilePatterns;
+    try {
+      ({ runOptions: minifierOptions, ignoreFilePatterns } = await prepareRun(basePathForIgnore, options, logger, absolutePath));
+    } catch (prepareError) {
+      console.error(`Error: ${prepareError.message}`);
+      process.exit(1);
     }
+    const { ignorePatterns, ignoreFilePath: minifierIgnoreFile, changedFiles } = minifierOptions;
 
-    const minifierOptions = {
-      ...options,
-      ignorePatterns,
-      basePath: basePathForIgnore,
-    };
+    if (options.listIgnored) {
+      const listOptions = { ...minifierOptions, verbose: false };
+      const ignored = (await fs.stat(absolutePath)).isDirectory()
+        ? await listIgnoredPaths(absolutePath, listOptions)
+        : [getIgnoreMatch(absolutePath, ignorePatterns, basePathForIgnore, getIgnoreSettings(listOptions))]
+          .filter(Boolean)
+          .map(match => ({ filePath: absolutePath, isDirectory: false, ...match }));
 
-    if (options.dryRun) {
+      // Patterns of the target itself can come from its ignore file, git, or --ignore and the config
+      const describeSource = ({ pattern, source }) => {
+        if (source === 'default ignores') return source;
+        if (source) return path.relative(process.cwd(), source);
+        if (ignoreFilePatterns.some(line => line.trim() === pattern)) return path.relative(process.cwd(), minifierIgnoreFile);
+        if ((minifierOptions.gitignorePatterns || []).includes(pattern)) return 'git';
+        return '--ignore / config';
+      };
+      for (const entry of ignored) {
+        console.log(`${path.relative(process.cwd(), entry.filePath)}${entry.isDirectory ? '/' : ''}  <- ${entry.pattern} (${describeSource(entry)})`);
+      }
+      console.log(`\n${ignored.length} path(s) ignored.`);
+      return;
+    }
+
+    // Originals overwritten in place are kept in a snapshot that `minifier restore` puts back
+    if (inPlace && options.backup !== false) {
+      try {
+        minifierOptions.backup = await createBackupRun(basePathForIgnore);
+      } catch (backupError) {
+        console.error(`Error: Could not create a backup in ./${BACKUP_DIR}: ${backupError.message}`);
+        process.exit(1);
+      }
+    }
+
+    if (options.dryRun && !options.silent) {
       console.log('\n--- ⚠️  Starting in Dry Run Mode (no files will be changed) ---');
-    } else {
+    } else if (!options.silent) {
       console.log(`\n--- Starting Minification Process ---`);
     }
     
     if (options.verbose) {
+        // The caches can be large, so their entries are left out
+        const { logger: _logger, cache, sharedNameCache, ...shownOptions } = minifierOptions;
         console.log(`\nTargeting path: ${absolutePath}`);
-        console.log('Effective Options:', minifierOptions);
+        console.log('Effective Options:', shownOptions);
     }
 
+    let results = [];
     try {
       const stat = await fs.stat(absolutePath);
       if (stat.isDirectory()) {
-        await traverseAndMinifyDirectory(absolutePath, minifierOptions);
+        // The scanned options carry the nested ignore files and used names on to watch mode
+        const { files, runOptions } = await scanDirectory(absolutePath, minifierOptions);
+        minifierOptions = runOptions;
+        results = await minifyFiles(files, minifierOptions);
+      } else if (stat.isFile() && changedFiles && !changedFiles.has(absolutePath)) {
+        if (!options.silent) console.log(`Skipping ${inputPath}: it has no changes in git.`);
       } else if (stat.isFile()) {
-        await processFile(absolutePath, minifierOptions);
+        // A JSON or SVG file named on the command line is minified without an --extensions mapping
+        const extension = path.extname(absolutePath).toLowerCase();
+        if (!getFileType(absolutePath, minifierOptions) && OPT_IN_EXTENSION_TYPES[extension]) {
+          minifierOptions.extensions = { ...minifierOptions.extensions, [extension]: OPT_IN_EXTENSION_TYPES[extension] };
+        }
+        // The used selectors of a single stylesheet come from the pages and scripts around it
+        if (options.purgeCss && getFileType(absolutePath, minifierOptions) === 'css') {
+          Object.assign(minifierOptions, await prepareCssPurge(basePathForIgnore, minifierOptions));
+        }
+        results = [await processFile(absolutePath, minifierOptions)];
+      }
+
+      const violations = hasBudgets(minifierOptions) ? checkBudgets(results, minifierOptions.budgets, minifierOptions.minReduction) : [];
+      if (stat.isDirectory() && !options.silent) {
+        displayResultsTable(results, violations); // The table will be displayed after all individual logs
+      } else {
+        violations.forEach(violation => console.error(`Budget exceeded: ${violation}`));
+      }
+
+      const { manifestPath, backedUp } = await saveRunState(results, minifierOptions);
+      if (manifestPath && !options.silent) {
+        console.log(`Asset manifest written: ${path.relative(process.cwd(), manifestPath)}`);
+      }
+      if (backedUp > 0 && !options.silent) {
+        const { id, dir } = minifierOptions.backup;
+        console.log(`Originals backed up: ${path.relative(process.cwd(), dir)} (${backedUp} file(s)). Undo with \`minifier restore ${id}\`.`);
+      }
+
+      if (options.report) {
+        const report = formatReport(results, options.report);
+        if (options.reportFile) {
+          const reportFilePath = path.resolve(process.cwd(), options.reportFile);
+          await writeReport(reportFilePath, report);
+          if (!options.silent) console.log(`Report written: ${path.relative(process.cwd(), reportFilePath)}`);
+        } else {
+          process.stdout.write(report);
+        }
       }
     } catch (checkPathError) {
       console.error(`An unexpected error occurred: ${checkPathError.message}`);
       process.exit(1);
     }
-    console.log('\n--- ✅ Process Complete. ---');
+
+    // Errors and budget violations fail the run, so CI pipelines can gate on the exit code
+    const { errors, overBudget } = summarizeResults(results);
+    if (errors > 0 || overBudget > 0) {
+      console.error(`\n--- ❌ Process Failed: ${errors} error(s), ${overBudget} file(s) over budget. ---`);
+      process.exitCode = 1;
+    } else if (!options.silent) {
+      console.log('\n--- ✅ Process Complete. ---');
+    }
+
+    if (options.watch) {
+      let watcher;
+      try {
+        watcher = await watch(absolutePath, minifierOptions);
+      } catch (watchError) {
+        console.error(`Failed to start watch mode: ${watchError.message}`);
+        process.exit(1);
+      }
+      if (!options.silent) console.log(`\n👀 Watching ${path.relative(process.cwd(), absolutePath) || '.'} for changes (press Ctrl+C to stop)...`);
+      process.on('SIGINT', () => {
+        watcher.close();
+        if (!options.silent) console.log('\n--- Watch mode stopped. ---');
+        process.exit(0);
+      });
+    }
+  });
+
+program
+  .command('restore [run-id]')
+  .description('Put back the originals a run minified in place (the latest run by default).')
+  .option('-f, --force', 'Also overwrite files that changed since the run.', false)
+  .action(async (runId, options) => {
+    try {
+      const { run, restored, skipped } = await restoreBackupRun(runId, { force: options.force });
+      console.log(`\n--- Restored ${restored.length} file(s) from run ${run.id}${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}. ---`);
+      if (skipped.length > 0) process.exitCode = 1;
+    } catch (restoreError) {
+      console.error(`Error: ${restoreError.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('backups')
+  .description('Manage the backups of in-place runs.')
+  .command('list')
+  .description(`List the backups in ./${BACKUP_DIR}, oldest first.`)
+  .action(async () => {
+    const runs = await listBackupRuns();
+    if (runs.length === 0) {
+      console.log(`No backups in ./${BACKUP_DIR}.`);
+      return;
+    }
+    const table = new Table({
+      columns: [
+        { name: 'id', title: 'Run', alignment: 'left' },
+        { name: 'createdAt', title: 'Date', alignment: 'left' },
+        { name: 'path', title: 'Path', alignment: 'left' },
+        { name: 'files', title: 'Files', alignment: 'right' },
+        { name: 'status', title: 'Status', alignment: 'left' },
+      ],
+    });
+    for (const run of runs) {
+      table.addRow({
+        id: run.id,
+        createdAt: new Date(run.createdAt).toLocaleString(),
+        path: path.relative(process.cwd(), run.basePath) || '.',
+        files: run.files.length,
+        status: run.restoredAt ? `Restored ${new Date(run.restoredAt).toLocaleString()}` : (run.complete ? '' : 'Incomplete'),
+      });
+    }
+    table.printTable();
   });
 
 program.parse(process.argv);
@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getOutputRoot, getSourceMapPaths } = require('./output-paths');
+const { getCompressedPaths } = require('./compress');
+const { getFileType } = require('./file-types');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// References that point outside the tree: absolute URLs (http:, data:, ...), protocol-relative URLs and fragments.
+const EXTERNAL_REFERENCE_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+
+/**
+ * Converts an absolute path to a manifest key/value: relative to a directory, with forward slashes.
+ * @param {string} from The directory the path is relative to.
+ * @param {string} to The absolute path.
+ * @returns {string} The relative path.
+ */
+function toManifestPath(from, to) {
+  return path.relative(from, to).replace(/\\/g, '/');
+}
+
+/**
+ * Returns the phase a file is processed in when outputs are content-hashed. Files that reference others
+ * must be processed after them: CSS can reference scripts and images, HTML can reference everything.
+ * @param {string} filePath The path to the file.
+ * @param {object} [options] The minifier options (uses extensions).
+ * @returns {number} 0 for standalone assets, 1 for CSS, 2 for HTML.
+ */
+function getAssetPhase(filePath, options) {
+  const type = getFileType(filePath, options);
+  if (type === 'html') return 2;
+  if (type === 'css') return 1;
+  return 0;
+}
+
+/**
+ * Adds a processed file to an asset map (source path relative to the base path -> output path relative to the output root).
+ * @param {object} assetMap The asset map to update.
+ * @param {object} result The processFile result.
+ * @param {object} options The minifier options.
+ * @returns {boolean} True if the file's output path changed.
+ */
+function recordAsset(assetMap, result, options) {
+  if (!result.outputFilePath || !['Minified', '[DRY RUN] Minified', 'Cached', 'Already Minified'].includes(result.status)) {
+    return false;
+  }
+  const key = toManifestPath(options.basePath, path.resolve(process.cwd(), result.filePath));
+  const value = toManifestPath(getOutputRoot(options), path.resolve(process.cwd(), result.outputFilePath));
+  const changed = assetMap[key] !== value;
+  assetMap[key] = value;
+  return changed;
+}
+
+/**
+ * Rewrites a single reference (a script src, link href or CSS url()) to point at the hashed output.
+ * @param {string} reference The reference as written in the source.
+ * @param {object} context The file being processed.
+ * @param {string} context.filePath The absolute path to the source file containing the reference.
+ * @param {string} context.outputFilePath The absolute path that file is written to.
+ * @param {object} context.options The minifier options (uses basePath, outputDir and assetMap).
+ * @returns {string|null} The rewritten reference, or null if it doesn't point at a known asset.
+ */
+function rewriteReference(reference, { filePath, outputFilePath, options }) {
+  if (!reference || EXTERNAL_REFERENCE_REGEX.test(reference)) return null;
+
+  const [, referencePath, suffix] = reference.match(/^([^?#]*)(.*)$/);
+  if (!referencePath) return null;
+
+  let decodedPath;
+  try {
+    decodedPath = decodeURI(referencePath);
+  } catch (decodeError) {
+    return null;
+  }
+
+  const rootRelative = decodedPath.startsWith('/');
+  const targetSource = rootRelative
+    ? path.join(options.basePath, decodedPath)
+    : path.resolve(path.dirname(filePath), decodedPath);
+  const hashedOutput = options.assetMap[toManifestPath(options.basePath, targetSource)];
+  if (!hashedOutput) return null;
+
+  if (rootRelative) {
+    return `/${encodeURI(hashedOutput)}${suffix}`;
+  }
+  const targetOutput = path.join(getOutputRoot(options), hashedOutput);
+  return encodeURI(toManifestPath(path.dirname(outputFilePath), targetOutput)) + suffix;
+}
+
+/**
+ * Rewrites <script src> and <link href> references in (minified) HTML.
+ * @param {string} html The HTML.
+ * @param {object} context See rewriteReference.
+ * @returns {string} The HTML with references to known assets replaced.
+ */
+function rewriteHtmlReferences(html, context) {
+  return html.replace(/<(script|link)\b[^>]*>/gi, (tag, tagName) => {
+    const attribute = tagName.toLowerCase() === 'script' ? 'src' : 'href';
+    const attributeRegex = new RegExp(`(\\s${attribute}\\s*=\\s*)(?:"([^"]*)"|'([^']*)'|([^\\s"'=<>\`]+))`, 'i');
+
+    return tag.replace(attributeRegex, (match, prefix, doubleQuoted, singleQuoted, unquoted) => {
+      const original = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+      const rewritten = rewriteReference(original, context);
+      if (rewritten === null) return match;
+      if (doubleQuoted !== undefined) return `${prefix}"${rewritten}"`;
+      if (singleQuoted !== undefined) return `${prefix}'${rewritten}'`;
+      return /[\s"'=<>`]/.test(rewritten) ? `${prefix}"${rewritten}"` : `${prefix}${rewritten}`;
+    });
+  });
+}
+
+/**
+ * Creates a PostCSS plugin that rewrites url() references and @import paths to hashed outputs.
+ * It runs before cssnano so the source map stays accurate.
+ * @param {object} context See rewriteReference.
+ * @returns {object} The PostCSS plugin.
+ */
+function cssReferencesPlugin(context) {
+  const replaceUrls = (value) => value.replace(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)/gi, (match, doubleQuoted, singleQuoted, unquoted) => {
+    const original = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+    const rewritten = rewriteReference(original, context);
+    if (rewritten === null) return match;
+    const quote = doubleQuoted !== undefined ? '"' : (singleQuoted !== undefined ? '\'' : '');
+    return `url(${quote}${rewritten}${quote})`;
+  });
+
+  return {
+    postcssPlugin: 'minifier-rewrite-references',
+    Declaration(decl) {
+      if (/url\(/i.test(decl.value)) decl.value = replaceUrls(decl.value);
+    },
+    AtRule: {
+      import(atRule) {
+        atRule.params = replaceUrls(atRule.params).replace(/^(["'])([^"']*)\1/, (match, quote, reference) => {
+          const rewritten = rewriteReference(reference, context);
+          return rewritten === null ? match : `${quote}${rewritten}${quote}`;
+        });
+      },
+    },
+  };
+}
+
+/**
+ * Reads the manifest.json in the output root.
+ * @param {object} options The minifier options.
+ * @returns {Promise<object>} The manifest, or an empty object if there is none.
+ */
+async function loadManifest(options) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(getOutputRoot(options), MANIFEST_FILE), 'utf8'));
+  } catch (readError) {
+    return {};
+  }
+}
+
+/**
+ * Removes the output (and its source map and precompressed files) a manifest entry pointed at.
+ * @param {string} key The manifest key (source path relative to the base path).
+ * @param {string} value The manifest value (output path relative to the output root).
+ * @param {object} options The minifier options.
+ */
+async function removeAssetOutput(key, value, options) {
+  const outputFilePath = path.join(getOutputRoot(options), value);
+  const { sourceMapFilePath } = getSourceMapPaths(path.join(options.basePath, key), outputFilePath, options);
+  for (const target of [outputFilePath, sourceMapFilePath, ...getCompressedPaths(outputFilePath)]) {
+    try {
+      await fs.unlink(target);
+    } catch (unlinkError) {
+      if (unlinkError.code !== 'ENOENT') throw unlinkError;
+    }
+  }
+}
+
+/**
+ * Merges the given asset map into manifest.json in the output root and deletes outputs from earlier
+ * runs that have since been replaced by a differently hashed file.
+ * @param {object} assetMap Source path -> hashed output path, for the files processed in this run.
+ * @param {object} options The minifier options.
+ * @param {string[]} [removedKeys] Sources that were deleted and should be dropped from the manifest.
+ * @returns {Promise<string>} The absolute path of the written manifest.
+ */
+async function writeManifest(assetMap, options, removedKeys = []) {
+  const manifest = await loadManifest(options);
+
+  for (const [key, value] of Object.entries(assetMap)) {
+    if (manifest[key] && manifest[key] !== value) {
+      await removeAssetOutput(key, manifest[key], options);
+    }
+    manifest[key] = value;
+  }
+  for (const key of removedKeys) {
+    delete manifest[key];
+  }
+
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map(key => [key, manifest[key]]));
+  const manifestPath = path.join(getOutputRoot(options), MANIFEST_FILE);
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(sorted, null, 2), 'utf8');
+  return manifestPath;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getAssetPhase,
+  recordAsset,
+  rewriteHtmlReferences,
+  cssReferencesPlugin,
+  loadManifest,
+  removeAssetOutput,
+  writeManifest,
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { hashContent } = require('./cache');
+
+// Where in-place runs keep the originals, relative to the current directory.
+const BACKUP_DIR = '.minifier-backup';
+const JOURNAL_FILE = 'journal.json';
+
+/**
+ * Writes a file atomically: the content goes to a temporary file next to it, which is then renamed over
+ * the target, so an interrupted write never leaves a half-written file behind. The temporary file gets the
+ * permissions of the file it replaces, so e.g. an executable script stays executable.
+ * @param {string} filePath The absolute path to write.
+ * @param {string|Buffer} content The content to write.
+ * @param {number} [mode] The permission bits to give the file; by default those of the existing file, if any.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content, mode) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  let targetMode = mode;
+  if (targetMode === undefined) {
+    try {
+      targetMode = (await fs.stat(filePath)).mode & 0o7777;
+    } catch (statError) {
+      // A new file gets the default permissions.
+    }
+  }
+  try {
+    await fs.writeFile(tempPath, content, typeof content === 'string' ? 'utf8' : undefined);
+    if (targetMode !== undefined) await fs.chmod(tempPath, targetMode);
+    await fs.rename(tempPath, filePath);
+  } catch (writeError) {
+    await fs.rm(tempPath, { force: true });
+    throw writeError;
+  }
+}
+
+/**
+ * Builds a sortable run id from a date, e.g. "20240612-154502-123".
+ * @param {Date} date The start of the run.
+ * @returns {string} The run id.
+ */
+function toRunId(date) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`
+    + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Starts a backup snapshot for an in-place run: creates `.minifier-backup/<run-id>/` and its journal.
+ * The returned object is plain data, so it can be passed to worker threads with the other options.
+ * @param {string} basePath The absolute path to the directory being minified; backed-up paths are relative to it.
+ * @param {string} [backupRoot] The absolute path to the backup directory.
+ * @returns {Promise<{id: string, dir: string, basePath: string}>} The backup run.
+ */
+async function createBackupRun(basePath, backupRoot = path.resolve(process.cwd(), BACKUP_DIR)) {
+  const createdAt = new Date();
+  let id = toRunId(createdAt);
+  // Two runs in the same millisecond (e.g. from a script) still get their own snapshot.
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fs.mkdir(path.join(backupRoot, id), { recursive: false });
+      break;
+    } catch (mkdirError) {
+      if (mkdirError.code === 'ENOENT') {
+        await fs.mkdir(backupRoot, { recursive: true });
+      } else if (mkdirError.code === 'EEXIST') {
+        id = `${toRunId(createdAt)}-${attempt}`;
+      } else {
+        throw mkdirError;
+      }
+    }
+  }
+
+  const run = { id, dir: path.join(backupRoot, id), basePath };
+  await writeJournal(run.dir, { id, createdAt: createdAt.toISOString(), basePath, cwd: process.cwd(), complete: false, files: [] });
+  return run;
+}
+
+/**
+ * Copies a file's original content into a backup run, before it is overwritten, and notes its permissions.
+ * @param {{dir: string, basePath: string}} run The backup run.
+ * @param {string} filePath The absolute path to the file.
+ * @param {string} content The original content.
+ * @returns {Promise<{file: string, originalHash: string, mode: number}>} The journal entry for the file.
+ */
+async function backupOriginal(run, filePath, content) {
+  const file = path.relative(run.basePath, filePath).replace(/\\/g, '/');
+  const backupPath = path.join(run.dir, 'files', file);
+  await fs.mkdir(path.dirname(backupPath), { recursive: true });
+  await fs.writeFile(backupPath, content, 'utf8');
+  const { mode } = await fs.stat(filePath);
+  return { file, originalHash: hashContent(content), mode: mode & 0o7777 };
+}
+
+/**
+ * Reads the journal of a backup run.
+ * @param {string} runDir The absolute path to the run's directory.
+ * @returns {Promise<object|null>} The journal, or null if it is missing or unreadable.
+ */
+async function readJournal(runDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(runDir, JOURNAL_FILE), 'utf8'));
+  } catch (readError) {
+    return null;
+  }
+}
+
+/**
+ * Writes the journal of a backup run.
+ * @param {string} runDir The absolute path to the run's directory.
+ * @param {object} journal The journal.
+ * @returns {Promise<void>}
+ */
+async function writeJournal(runDir, journal) {
+  await writeFileAtomic(path.join(runDir, JOURNAL_FILE), JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Records the files a run backed up in its journal, with the hash of what was written in their place, and
+ * takes the entries off the results. A run that backed nothing up leaves no snapshot behind.
+ * @param {{id: string, dir: string, basePath: string}} run The backup run.
+ * @param {object[]} results The processing results; `backupEntry` is set on files that were overwritten.
+ * @returns {Promise<number>} The number of files in the snapshot.
+ */
+async function recordBackups(run, results) {
+  const journal = await readJournal(run.dir)
+    || { id: run.id, createdAt: new Date().toISOString(), basePath: run.basePath, cwd: process.cwd(), files: [] };
+  const files = new Map(journal.files.map(entry => [entry.file, entry]));
+
+  for (const result of results) {
+    if (!result.backupEntry) continue;
+    const existing = files.get(result.backupEntry.file);
+    // A file overwritten again (in watch mode) keeps the snapshot of its latest source.
+    files.set(result.backupEntry.file, { ...existing, ...result.backupEntry });
+    delete result.backupEntry;
+  }
+
+  if (files.size === 0) {
+    await fs.rm(run.dir, { recursive: true, force: true });
+    return 0;
+  }
+  journal.files = [...files.values()];
+  journal.complete = true;
+  await writeJournal(run.dir, journal);
+  return files.size;
+}
+
+/**
+ * Checks whether a path lies inside a backup directory. Snapshots are never minified, whatever the ignore
+ * settings, since `restore` needs the originals as they were.
+ * @param {string} filePath The absolute path to check.
+ * @returns {boolean} True if one of the path's segments is the backup directory.
+ */
+function isInBackupDir(filePath) {
+  return filePath.split(path.sep).includes(BACKUP_DIR);
+}
+
+/**
+ * Lists the backup runs, oldest first.
+ * @param {string} [backupRoot] The absolute path to the backup directory.
+ * @returns {Promise<object[]>} The journals, each with its run directory as `dir`.
+ */
+async function listBackupRuns(backupRoot = path.resolve(process.cwd(), BACKUP_DIR)) {
+  let entries;
+  try {
+    entries = await fs.readdir(backupRoot, { withFileTypes: true });
+  } catch (readError) {
+    if (readError.code === 'ENOENT') return [];
+    throw readError;
+  }
+
+  const runs = [];
+  for (const entry of entries.filter(dirent => dirent.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const dir = path.join(backupRoot, entry.name);
+    const journal = await readJournal(dir);
+    if (journal) runs.push({ ...journal, dir });
+  }
+  return runs;
+}
+
+/**
+ * Puts the originals of a backup run back in place. A file that changed since the run overwrote it
+ * is left alone unless force is set, so edits made after the run aren't lost.
+ * @param {string} [runId] The run to restore; the latest one by default.
+ * @param {object} [options] force: overwrite files that changed since the run; logger: where to log; backupRoot.
+ * @returns {Promise<{run: object, restored: string[], skipped: {file: string, reason: string}[]}>} What was restored.
+ * @throws {Error} If there is no such run.
+ */
+async function restoreBackupRun(runId, { force = false, logger = console, backupRoot } = {}) {
+  const runs = await listBackupRuns(backupRoot);
+  const run = runId ? runs.find(candidate => candidate.id === runId) : runs[runs.length - 1];
+  if (!run) {
+    throw new Error(runId ? `No backup run '${runId}'. See \`minifier backups list\`.` : 'There are no backups to restore.');
+  }
+
+  // A run that was interrupted never got its journal filled in; its snapshot still holds every original it saved.
+  let entries = run.files;
+  if (!run.complete) {
+    const known = new Set(entries.map(entry => entry.file));
+    const saved = await fs.readdir(path.join(run.dir, 'files'), { recursive: true, withFileTypes: true }).catch(() => []);
+    entries = entries.concat(saved
+      .filter(dirent => dirent.isFile())
+      .map(dirent => ({ file: path.relative(path.join(run.dir, 'files'), path.join(dirent.parentPath || dirent.path, dirent.name)).replace(/\\/g, '/') }))
+      .filter(entry => !known.has(entry.file)));
+  }
+
+  const restored = [];
+  const skipped = [];
+  for (const entry of entries) {
+    const filePath = path.resolve(run.basePath, entry.file);
+    const relativeFilePath = path.relative(process.cwd(), filePath);
+
+    let current = null;
+    try {
+      current = await fs.readFile(filePath, 'utf8');
+    } catch (readError) {
+      // A file deleted since the run is simply restored.
+    }
+    const currentHash = current === null ? null : hashContent(current);
+    if (currentHash && currentHash === entry.originalHash) {
+      restored.push(relativeFilePath);
+      logger.log(`Already original: ${relativeFilePath}`);
+      continue;
+    }
+    if (currentHash && !force && entry.outputHash && currentHash !== entry.outputHash) {
+      skipped.push({ file: relativeFilePath, reason: 'changed since the run (use --force to overwrite)' });
+      logger.warn(`Skipping ${relativeFilePath}: it changed since the run (use --force to overwrite).`);
+      continue;
+    }
+
+    try {
+      const original = await fs.readFile(path.join(run.dir, 'files', entry.file), 'utf8');
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, original, entry.mode);
+      restored.push(relativeFilePath);
+      logger.log(`Restored: ${relativeFilePath}`);
+    } catch (restoreError) {
+      skipped.push({ file: relativeFilePath, reason: restoreError.message });
+      logger.error(`Failed to restore ${relativeFilePath}: ${restoreError.message}`);
+    }
+  }
+
+  const { dir, ...journal } = run;
+  await writeJournal(dir, { ...journal, restoredAt: new Date().toISOString() });
+  return { run, restored, skipped };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  writeFileAtomic,
+  createBackupRun,
+  backupOriginal,
+  recordBackups,
+  isInBackupDir,
+  listBackupRuns,
+  restoreBackupRun,
+};
@@ -0,0 +1,202 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { formatBytes } = require('./format');
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+const SIZE_KINDS = ['raw', 'gzip', 'brotli'];
+
+// "dist/**/*.js <= 50KB gzip" or "total **/*.css <= 120KB"
+const BUDGET_SPEC_REGEX = /^(total\s+)?(\S+)\s*<=\s*([\d.]+\s*[kmg]?b?)\s*(raw|gzip|brotli)?$/i;
+
+/**
+ * Parses a human-readable size such as "50KB", "1.5 MB" or "2048" into bytes.
+ * @param {string|number} value The size.
+ * @returns {number} The size in bytes.
+ * @throws {Error} If the size can't be parsed.
+ */
+function parseSize(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^([\d.]+)\s*([kmg]?b?)$/i);
+  if (!match || Number.isNaN(parseFloat(match[1]))) {
+    throw new Error(`Invalid size '${value}'. Use e.g. 2048, 50KB or 1.5MB.`);
+  }
+  let unit = match[2].toUpperCase() || 'B';
+  if (unit.length === 1 && unit !== 'B') unit += 'B';
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+/**
+ * Normalizes one budget, given either as a string ("dist/**\/*.js <= 50KB gzip") or an object
+ * ({ files, maxSize, compression, total, minReduction }).
+ * @param {string|object} budget The budget definition.
+ * @param {string} baseDir The directory the globs are relative to.
+ * @returns {object} The normalized budget.
+ * @throws {Error} If the budget is invalid.
+ */
+function normalizeBudget(budget, baseDir) {
+  if (typeof budget === 'string') {
+    const match = budget.trim().match(BUDGET_SPEC_REGEX);
+    if (!match) {
+      throw new Error(`Invalid budget '${budget}'. Use e.g. "dist/**/*.js <= 50KB gzip" or "total **/*.css <= 120KB".`);
+    }
+    return normalizeBudget({
+      files: match[2],
+      maxSize: match[3],
+      compression: match[4],
+      total: Boolean(match[1]),
+      label: budget.trim(),
+    }, baseDir);
+  }
+
+  if (!budget || typeof budget !== 'object' || !budget.files) {
+    throw new Error('A budget must be a string or an object with a "files" glob.');
+  }
+  const compression = (budget.compression || 'raw').toLowerCase();
+  if (!SIZE_KINDS.includes(compression)) {
+    throw new Error(`Invalid budget compression '${budget.compression}'. Use ${SIZE_KINDS.join(', ')}.`);
+  }
+  if (budget.maxSize === undefined && budget.minReduction === undefined) {
+    throw new Error('A budget needs a "maxSize" and/or a "minReduction".');
+  }
+
+  const files = Array.isArray(budget.files) ? budget.files : [budget.files];
+  const total = Boolean(budget.total);
+  const maxSize = budget.maxSize !== undefined ? parseSize(budget.maxSize) : null;
+  const minReduction = budget.minReduction !== undefined ? Number(budget.minReduction) : null;
+
+  let label = budget.label;
+  if (!label) {
+    const parts = [total ? `total ${files.join(',')}` : files.join(',')];
+    if (maxSize !== null) parts.push(`<= ${budget.maxSize}${compression !== 'raw' ? ` ${compression}` : ''}`);
+    if (minReduction !== null) parts.push(`reduction >= ${minReduction}%`);
+    label = parts.join(' ');
+  }
+
+  return { files, total, maxSize, compression, minReduction, label, baseDir };
+}
+
+/**
+ * Normalizes the budgets from the config file and the command line.
+ * @param {Array<string|object>} budgets The budget definitions.
+ * @param {string} baseDir The directory the globs are relative to.
+ * @returns {object[]} The normalized budgets.
+ */
+function normalizeBudgets(budgets, baseDir) {
+  return (budgets || []).map(budget => (budget && budget.baseDir ? budget : normalizeBudget(budget, baseDir)));
+}
+
+/**
+ * Checks whether a run has any budgets or a minimum reduction to enforce.
+ * @param {object} options The minifier options (uses budgets and minReduction).
+ * @returns {boolean} True if the results need checking.
+ */
+function hasBudgets(options) {
+  return (options.budgets && options.budgets.length > 0) || (options.minReduction !== undefined && options.minReduction !== null);
+}
+
+/**
+ * Lists the compressed sizes the budgets need measured, so processFile can compute them even without --compress.
+ * @param {object[]} budgets The normalized budgets.
+ * @returns {string[]} The needed formats, e.g. ['gzip'].
+ */
+function getMeasuredFormats(budgets) {
+  return [...new Set(budgets.map(budget => budget.compression).filter(kind => kind !== 'raw'))];
+}
+
+/**
+ * Returns the size of a result's output in the given kind. Unchanged files are measured as-is.
+ * @param {object} result The processFile result.
+ * @param {string} kind 'raw', 'gzip' or 'brotli'.
+ * @returns {number|null} The size in bytes, or null if it wasn't measured.
+ */
+function getResultSize(result, kind) {
+  if (kind === 'gzip') return result.gzipSize;
+  if (kind === 'brotli') return result.brotliSize;
+  return result.minifiedSize > 0 ? result.minifiedSize : result.originalSize;
+}
+
+/**
+ * Checks whether a result matches a budget's globs, by its input or its output path.
+ * @param {object} result The processFile result.
+ * @param {object} budget The normalized budget.
+ * @returns {boolean} True if the budget applies to this result.
+ */
+function budgetApplies(result, budget) {
+  const candidates = [result.filePath, result.outputFilePath]
+    .filter(Boolean)
+    .map(filePath => path.relative(budget.baseDir, path.resolve(process.cwd(), filePath)).replace(/\\/g, '/'));
+  return budget.files.some(pattern => candidates.some(candidate => minimatch(candidate, pattern, { dot: true })));
+}
+
+/**
+ * Checks every result against the budgets and the global minimum reduction. Violations are recorded on
+ * the results as `budgetViolations`; a total budget that is exceeded is recorded on every file it covers.
+ * Files skipped as already minified are held to the size budgets only, not to minimum reductions.
+ * @param {object[]} results The processFile results.
+ * @param {object[]} budgets The normalized budgets.
+ * @param {number} [minReduction] The minimum reduction percentage every file must reach.
+ * @returns {string[]} A description of every violation.
+ */
+function checkBudgets(results, budgets, minReduction) {
+  const violations = [];
+  const measured = results.filter(result => ['Minified', '[DRY RUN] Minified', 'Cached', 'No Change', 'Already Minified'].includes(result.status));
+  // Files skipped as already minified count towards size budgets, but weren't meant to get any smaller
+  const reduced = measured.filter(result => result.status !== 'Already Minified');
+
+  for (const result of results) {
+    result.budgetViolations = [];
+  }
+
+  const addViolation = (result, message) => {
+    result.budgetViolations.push(message);
+    violations.push(`${result.filePath}: ${message}`);
+  };
+
+  for (const result of reduced) {
+    if (minReduction !== undefined && minReduction !== null && result.reductionPercent < minReduction) {
+      addViolation(result, `reduction ${result.reductionPercent.toFixed(1)}% < ${minReduction}%`);
+    }
+  }
+
+  for (const budget of budgets) {
+    const matching = measured.filter(result => budgetApplies(result, budget));
+
+    if (budget.minReduction !== null) {
+      for (const result of matching.filter(matched => reduced.includes(matched))) {
+        if (result.reductionPercent < budget.minReduction) {
+          addViolation(result, `reduction ${result.reductionPercent.toFixed(1)}% < ${budget.minReduction}% (${budget.label})`);
+        }
+      }
+    }
+
+    if (budget.maxSize === null) continue;
+
+    if (budget.total) {
+      const totalSize = matching.reduce((sum, result) => sum + (getResultSize(result, budget.compression) || 0), 0);
+      if (totalSize > budget.maxSize) {
+        const message = `total ${formatBytes(totalSize)} > ${formatBytes(budget.maxSize)} (${budget.label})`;
+        violations.push(message);
+        matching.forEach(result => result.budgetViolations.push(message));
+      }
+      continue;
+    }
+
+    for (const result of matching) {
+      const size = getResultSize(result, budget.compression);
+      if (size !== null && size !== undefined && size > budget.maxSize) {
+        addViolation(result, `${formatBytes(size)} > ${formatBytes(budget.maxSize)} (${budget.label})`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  parseSize,
+  normalizeBudget,
+  normalizeBudgets,
+  hasBudgets,
+  getMeasuredFormats,
+  checkBudgets,
+};
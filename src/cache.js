@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const pkgVersion = require('../package.json').version;
+
+const DEFAULT_CACHE_FILE = '.minifier-cache.json';
+
+// Options that never change what gets written for a file, so they are left out of the options hash.
+const NON_OUTPUT_OPTIONS = [
+  'verbose', 'dryRun', 'concurrency', 'watch', 'config', 'configDir', 'overrides',
+  'ignore', 'ignorePath', 'ignorePatterns', 'ignoreFilePath', 'nestedIgnores', 'defaultIgnores', 'listIgnored', 'basePath',
+  'cache', 'cacheLocation', 'logger', 'events', 'budget', 'budgets', 'minReduction',
+  'report', 'reportFile', 'silent', 'backup', 'force', 'skipMinified',
+  'changedSince', 'staged', 'changedFiles', 'respectGitignore', 'gitignorePatterns',
+  // The asset map and the names --purge-css collected can be large; their hashes (assetMapHash,
+  // usedNamesHash) are what gets compared instead.
+  'assetMap', 'usedNames',
+  // Terser fills the shared name cache in as files are minified; the --name-cache path is what gets compared.
+  'sharedNameCache',
+];
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal options always hash the same.
+ * @param {*} value The value to serialize.
+ * @returns {string} The canonical JSON string.
+ */
+function stableStringify(value) {
+  if (value instanceof RegExp) {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hashes file content.
+ * @param {string} content The content to hash.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hashes the effective options for a file, ignoring options that don't affect its output.
+ * @param {object} options The effective minifier options for the file.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashOptions(options) {
+  const relevant = Object.fromEntries(
+    Object.entries(options).filter(([key, value]) => !NON_OUTPUT_OPTIONS.includes(key) && typeof value !== 'function')
+  );
+  return hashContent(stableStringify(relevant));
+}
+
+/**
+ * Loads the cache manifest. A missing or unreadable manifest, or one written by another version of the tool,
+ * results in an empty cache.
+ * @param {string} cacheFilePath The absolute path to the cache manifest.
+ * @param {object} [logger] Where to report an unreadable manifest (defaults to the console).
+ * @returns {Promise<{filePath: string, version: string, entries: object}>} The cache.
+ */
+async function loadCache(cacheFilePath, logger = console) {
+  const cache = { filePath: cacheFilePath, version: pkgVersion, entries: {} };
+  try {
+    const manifest = JSON.parse(await fs.readFile(cacheFilePath, 'utf8'));
+    if (manifest.version === pkgVersion && manifest.entries && typeof manifest.entries === 'object') {
+      cache.entries = manifest.entries;
+    }
+  } catch (readError) {
+    if (readError.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable cache file '${cacheFilePath}': ${readError.message}`);
+    }
+  }
+  return cache;
+}
+
+/**
+ * Writes the cache manifest to disk.
+ * @param {{filePath: string, version: string, entries: object}} cache The cache to save.
+ * @returns {Promise<void>}
+ */
+async function saveCache(cache) {
+  await fs.mkdir(path.dirname(cache.filePath), { recursive: true });
+  await fs.writeFile(cache.filePath, JSON.stringify({ version: cache.version, entries: cache.entries }, null, 2), 'utf8');
+}
+
+/**
+ * Returns the key a file is stored under: its path relative to the cache manifest, with forward slashes.
+ * @param {string} filePath The absolute path to the input file.
+ * @param {{filePath: string}} cache The cache.
+ * @returns {string} The cache key.
+ */
+function getCacheKey(filePath, cache) {
+  return path.relative(path.dirname(cache.filePath), filePath).replace(/\\/g, '/');
+}
+
+/**
+ * Looks up a still-valid cache entry: same input hash, same options hash, and the recorded outputs still on disk.
+ * @param {object} cache The cache.
+ * @param {string} key The cache key of the file.
+ * @param {string} inputHash The hash of the current input content.
+ * @param {string} optionsHash The hash of the current effective options.
+ * @returns {Promise<object|null>} The entry with absolute outputFilePath/sourceMapFilePath/compressedFilePaths, or null if the file needs processing.
+ */
+async function findValidEntry(cache, key, inputHash, optionsHash) {
+  const entry = cache.entries[key];
+  if (!entry || entry.hash !== inputHash || entry.optionsHash !== optionsHash || !entry.outputFile) {
+    return null;
+  }
+  const cacheDir = path.dirname(cache.filePath);
+  const outputFilePath = path.resolve(cacheDir, entry.outputFile);
+  const sourceMapFilePath = entry.sourceMapFile ? path.resolve(cacheDir, entry.sourceMapFile) : null;
+  const compressedFilePaths = (entry.compressedFiles || []).map(file => path.resolve(cacheDir, file));
+  try {
+    await fs.access(outputFilePath);
+    if (sourceMapFilePath) await fs.access(sourceMapFilePath);
+    for (const compressedFilePath of compressedFilePaths) await fs.access(compressedFilePath);
+  } catch (accessError) {
+    return null;
+  }
+  return { ...entry, outputFilePath, sourceMapFilePath, compressedFilePaths };
+}
+
+/**
+ * Records the cache entries produced by a run and strips them from the results.
+ * @param {object} cache The cache to update.
+ * @param {object[]} results The processFile results.
+ */
+function updateCache(cache, results) {
+  for (const result of results) {
+    if (result.cacheEntry) {
+      cache.entries[result.cacheEntry.key] = result.cacheEntry.entry;
+      delete result.cacheEntry;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  stableStringify,
+  hashContent,
+  hashOptions,
+  loadCache,
+  saveCache,
+  getCacheKey,
+  findValidEntry,
+  updateCache,
+};
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Supported precompression formats, the extension their files get, and their default (maximum) level.
+const COMPRESSION_FORMATS = {
+  gzip: {
+    extension: '.gz',
+    defaultLevel: 9,
+    maxLevel: 9,
+    compress: (buffer, level) => gzip(buffer, { level }),
+  },
+  brotli: {
+    extension: '.br',
+    defaultLevel: 11,
+    maxLevel: 11,
+    compress: (buffer, level) => brotliCompress(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+      },
+    }),
+  },
+};
+
+/**
+ * Normalizes the compress option (a comma-separated string or an array) into a list of format names.
+ * @param {string|string[]|boolean} [value] The option value.
+ * @returns {string[]} The formats, e.g. ['gzip', 'brotli'].
+ * @throws {Error} If a format is not supported.
+ */
+function parseCompressFormats(value) {
+  if (!value) return [];
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+  for (const format of formats) {
+    if (!COMPRESSION_FORMATS[format]) {
+      throw new Error(`Unsupported compression format '${format}'. Use ${Object.keys(COMPRESSION_FORMATS).join(', ')}.`);
+    }
+  }
+  return [...new Set(formats)];
+}
+
+/**
+ * Validates a compression level option.
+ * @param {string} format The format name.
+ * @param {number|undefined} level The requested level.
+ * @returns {number} The level to use.
+ * @throws {Error} If the level is out of range.
+ */
+function resolveLevel(format, level) {
+  const { defaultLevel, maxLevel } = COMPRESSION_FORMATS[format];
+  if (level === undefined || level === null) return defaultLevel;
+  if (!Number.isInteger(level) || level < 0 || level > maxLevel) {
+    throw new Error(`The ${format} level must be an integer between 0 and ${maxLevel}.`);
+  }
+  return level;
+}
+
+/**
+ * Compresses content in every requested format.
+ * @param {string} content The minified content.
+ * @param {object} options The minifier options (uses compress, gzipLevel and brotliLevel).
+ * @param {string[]} [formats] The formats to produce; defaults to the --compress formats.
+ * @returns {Promise<Array<{format: string, extension: string, data: Buffer}>>} The compressed variants.
+ */
+async function compressContent(content, options, formats = parseCompressFormats(options.compress)) {
+  const buffer = Buffer.from(content, 'utf8');
+  const variants = [];
+  for (const format of formats) {
+    const { extension, compress } = COMPRESSION_FORMATS[format];
+    const level = resolveLevel(format, options[`${format}Level`]);
+    variants.push({ format, extension, data: await compress(buffer, level) });
+  }
+  return variants;
+}
+
+/**
+ * Writes the compressed variants next to an output file.
+ * @param {string} outputFilePath The absolute path to the minified output.
+ * @param {Array<{extension: string, data: Buffer}>} variants The variants from compressContent.
+ * @returns {Promise<string[]>} The absolute paths written.
+ */
+async function writeCompressedFiles(outputFilePath, variants) {
+  const written = [];
+  for (const { extension, data } of variants) {
+    const compressedPath = outputFilePath + extension;
+    await fs.writeFile(compressedPath, data);
+    written.push(compressedPath);
+  }
+  return written;
+}
+
+/**
+ * Lists the possible precompressed siblings of an output file, whether or not they exist.
+ * @param {string} outputFilePath The absolute path to the minified output.
+ * @returns {string[]} The .gz and .br paths.
+ */
+function getCompressedPaths(outputFilePath) {
+  return Object.values(COMPRESSION_FORMATS).map(({ extension }) => outputFilePath + extension);
+}
+
+module.exports = {
+  COMPRESSION_FORMATS,
+  parseCompressFormats,
+  resolveLevel,
+  compressContent,
+  writeCompressedFiles,
+  getCompressedPaths,
+};
@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { normalizePluginSpecs } = require('./plugins');
+
+// Files searched for in every directory while walking up from the target path, in priority order.
+const CONFIG_FILE_NAMES = ['minifier.config.js', 'minifier.config.json'];
+
+// Options holding paths; when they come from a config file they are resolved against the file's directory.
+const PATH_OPTIONS = ['outputDir', 'sourceMapDir', 'ignorePath', 'cacheLocation', 'reportFile', 'nameCache'];
+
+// Sections passed on to Terser, cssnano and html-minifier-terser as they are, over the defaults.
+const RAW_TOOL_OPTIONS = ['terser', 'cssnano', 'htmlMinifier'];
+
+/**
+ * Reads and parses a single config file (.js or .json).
+ * @param {string} configPath The absolute path to the config file.
+ * @returns {Promise<object>} The raw config object.
+ */
+async function readConfigFile(configPath) {
+  if (path.extname(configPath) === '.js') {
+    // Drop any cached copy so watch mode and repeated API calls see edits.
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+  }
+  const content = await fs.readFile(configPath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    throw new Error(`Invalid JSON in config file '${configPath}': ${parseError.message}`);
+  }
+}
+
+/**
+ * Walks up from a directory looking for a minifier.config.{js,json} file or a "minifier" key in package.json.
+ * @param {string} startDir The directory to start searching from.
+ * @returns {Promise<{config: object, filePath: string}|null>} The found config and where it came from, or null.
+ */
+async function findConfig(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      try {
+        await fs.access(candidate);
+      } catch (accessError) {
+        continue;
+      }
+      return { config: await readConfigFile(candidate), filePath: candidate };
+    }
+
+    const pkgPath = path.join(dir, 'package.json');
+    try {
+      const pkg = JSON.parse(await fs.readFile(pkgPath, 'utf8'));
+      if (pkg && typeof pkg.minifier === 'object' && pkg.minifier !== null) {
+        return { config: pkg.minifier, filePath: pkgPath };
+      }
+    } catch (pkgError) {
+      // A missing or unreadable package.json simply means we keep walking up.
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Resolves the path options of a config (or of one of its overrides) against the config file's directory.
+ * @param {object} options The options, changed in place.
+ * @param {string} configDir The directory containing the config file.
+ * @returns {object} The same options.
+ */
+function resolvePathOptions(options, configDir) {
+  for (const key of PATH_OPTIONS) {
+    if (typeof options[key] === 'string') {
+      options[key] = path.resolve(configDir, options[key]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Normalizes a raw config object: resolves path options relative to the config file and validates overrides.
+ * @param {object} rawConfig The config as read from disk.
+ * @param {string} configDir The directory containing the config file.
+ * @returns {object} The normalized config.
+ */
+function normalizeConfig(rawConfig, configDir) {
+  if (typeof rawConfig !== 'object' || rawConfig === null || Array.isArray(rawConfig)) {
+    throw new Error('Config must be an object.');
+  }
+
+  const { overrides = [], ...options } = rawConfig;
+
+  resolvePathOptions(options, configDir);
+  if (typeof options.ignore === 'string') {
+    options.ignore = options.ignore.split(',');
+  }
+  for (const key of RAW_TOOL_OPTIONS) {
+    if (options[key] !== undefined && (typeof options[key] !== 'object' || options[key] === null || Array.isArray(options[key]))) {
+      throw new Error(`"${key}" must be an object of options.`);
+    }
+  }
+  // Plugin modules are looked up from the config file, like its paths
+  if (options.plugins) {
+    options.plugins = normalizePluginSpecs(options.plugins, configDir);
+  }
+
+  if (!Array.isArray(overrides)) {
+    throw new Error('"overrides" must be an array.');
+  }
+  const normalizedOverrides = overrides.map((override, index) => {
+    if (!override || !override.files) {
+      throw new Error(`overrides[${index}] must have a "files" glob or array of globs.`);
+    }
+    if (override.options && override.options.plugins) {
+      throw new Error(`overrides[${index}]: "plugins" can only be set at the top level.`);
+    }
+    return {
+      files: Array.isArray(override.files) ? override.files : [override.files],
+      options: resolvePathOptions({ ...(override.options || {}) }, configDir),
+    };
+  });
+
+  return { ...options, overrides: normalizedOverrides, configDir };
+}
+
+/**
+ * Locates and loads the project config for a target path.
+ * @param {string} startDir The directory to start searching from.
+ * @param {string} [explicitPath] A config file given on the command line; disables the upward search.
+ * @returns {Promise<{config: object, filePath: string|null}>} The normalized config (empty if none was found).
+ */
+async function loadConfig(startDir, explicitPath) {
+  let found;
+  try {
+    if (explicitPath) {
+      found = { config: await readConfigFile(explicitPath), filePath: explicitPath };
+    } else {
+      found = await findConfig(startDir);
+    }
+  } catch (loadError) {
+    throw new Error(`Failed to load config${explicitPath ? ` '${explicitPath}'` : ''}: ${loadError.message}`);
+  }
+
+  if (!found) {
+    return { config: {}, filePath: null };
+  }
+
+  try {
+    return { config: normalizeConfig(found.config, path.dirname(found.filePath)), filePath: found.filePath };
+  } catch (configError) {
+    throw new Error(`Invalid config in '${found.filePath}': ${configError.message}`);
+  }
+}
+
+/**
+ * Merges config file values with CLI options. Options set explicitly on the command line always win,
+ * both over the top-level config and over any per-glob overrides.
+ * @param {object} config The normalized config from loadConfig.
+ * @param {object} cliOptions The parsed CLI options (including commander defaults).
+ * @param {string[]} cliKeys The option keys that were explicitly passed on the command line.
+ * @returns {object} The merged options.
+ */
+function mergeOptions(config, cliOptions, cliKeys) {
+  const { overrides = [], configDir, ...configOptions } = config;
+  const merged = { ...cliOptions };
+
+  for (const [key, value] of Object.entries(configOptions)) {
+    if (key === 'ignore') continue;
+    if (!cliKeys.includes(key)) merged[key] = value;
+  }
+
+  // Ignore lists are additive: config patterns first, then anything passed with --ignore.
+  merged.ignore = [...(configOptions.ignore || []), ...(cliOptions.ignore || [])];
+
+  merged.overrides = overrides.map(override => {
+    const options = { ...override.options };
+    for (const key of cliKeys) delete options[key];
+    return { files: override.files, options };
+  });
+  merged.configDir = configDir || null;
+
+  return merged;
+}
+
+/**
+ * Returns the options that apply to a specific file, with all matching overrides applied in order.
+ * @param {string} filePath The absolute path to the file.
+ * @param {object} options The merged minifier options.
+ * @returns {object} The effective options for this file.
+ */
+function resolveFileOptions(filePath, options) {
+  if (!options.overrides || options.overrides.length === 0) {
+    return options;
+  }
+
+  const baseDir = options.configDir || options.basePath || process.cwd();
+  const relativePath = path.relative(baseDir, filePath).replace(/\\/g, '/');
+
+  let effective = options;
+  for (const override of options.overrides) {
+    if (override.files.some(pattern => minimatch(relativePath, pattern.replace(/\\/g, '/'), { dot: true }))) {
+      effective = { ...effective, ...override.options };
+    }
+  }
+  return effective;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfig,
+  loadConfig,
+  mergeOptions,
+  resolveFileOptions,
+};
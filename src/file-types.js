@@ -0,0 +1,88 @@
+const path = require('path');
+
+// The minifiers processFile can run. mjs and cjs are JavaScript parsed as an ES module or a CommonJS module;
+// svg and xml share the XML minifier.
+const FILE_TYPES = ['js', 'mjs', 'cjs', 'css', 'html', 'json', 'svg', 'xml'];
+
+// Extensions picked up by default. More can be mapped to a type with --extensions.
+const DEFAULT_EXTENSION_TYPES = {
+  '.js': 'js',
+  '.mjs': 'mjs',
+  '.cjs': 'cjs',
+  '.css': 'css',
+  '.html': 'html',
+};
+
+// Extensions only minified when they are mapped with --extensions, or named as the target or the stdin
+// --filename: a tree is full of JSON with comments (.vscode/settings.json, ...) and data files.
+const OPT_IN_EXTENSION_TYPES = {
+  '.json': 'json',
+  '.svg': 'svg',
+};
+
+/**
+ * Normalizes an extension: lowercase with a leading dot.
+ * @param {string} extension The extension, e.g. "htm" or ".HTM".
+ * @returns {string} The normalized extension, e.g. ".htm".
+ */
+function normalizeExtension(extension) {
+  const trimmed = extension.trim().toLowerCase();
+  return trimmed.startsWith('.') ? trimmed : `.${trimmed}`;
+}
+
+/**
+ * Parses the --extensions option ("htm=html,.xhtml=html") or the config "extensions" key
+ * (the same string, an array of "ext=type" entries, or an object such as { ".htm": "html" }).
+ * @param {string|string[]|object} [value] The extension mappings.
+ * @returns {object} Extension -> type, e.g. { ".htm": "html" }.
+ * @throws {Error} If a mapping is malformed or names an unknown type.
+ */
+function parseExtensions(value) {
+  if (!value) return {};
+
+  let entries;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    entries = (Array.isArray(value) ? value : String(value).split(','))
+      .map(mapping => mapping.trim())
+      .filter(Boolean)
+      .map(mapping => {
+        const [extension, type] = mapping.split('=');
+        if (!extension || !type) {
+          throw new Error(`Invalid extension mapping '${mapping}'. Use e.g. ".htm=html".`);
+        }
+        return [extension, type];
+      });
+  }
+
+  const extensions = {};
+  for (const [extension, type] of entries) {
+    const normalizedType = String(type).trim().toLowerCase();
+    if (!FILE_TYPES.includes(normalizedType)) {
+      throw new Error(`Unknown file type '${type}' for '${extension}'. Use ${FILE_TYPES.join(', ')}.`);
+    }
+    extensions[normalizeExtension(extension)] = normalizedType;
+  }
+  return extensions;
+}
+
+/**
+ * Returns the minifier type for a file, from its extension and any --extensions mappings.
+ * @param {string} filePath The path to the file.
+ * @param {object} [options] The minifier options (uses extensions).
+ * @returns {string|null} The file type, or null if the file isn't minified.
+ */
+function getFileType(filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  const extensions = options.extensions || {};
+  return extensions[ext] || DEFAULT_EXTENSION_TYPES[ext] || null;
+}
+
+module.exports = {
+  FILE_TYPES,
+  DEFAULT_EXTENSION_TYPES,
+  OPT_IN_EXTENSION_TYPES,
+  parseExtensions,
+  getFileType,
+};
@@ -0,0 +1,17 @@
+/**
+ * Helper to format bytes into a readable string (B, KB, MB).
+ * @param {number} bytes The number of bytes.
+ * @returns {string} The formatted size string.
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  if (bytes < 0) return '-' + formatBytes(-bytes);
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+module.exports = {
+  formatBytes,
+};
@@ -0,0 +1,181 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Files the minifier itself leaves in a project; they don't make a working tree dirty.
+const OWN_ARTIFACTS = ['.minifier-backup', '.minifier-cache.json'];
+
+/**
+ * Runs a git command.
+ * @param {string[]} args The git arguments.
+ * @param {string} cwd The directory to run git in.
+ * @param {string} [input] What to write to git's stdin.
+ * @returns {Promise<string>} What git printed to stdout.
+ * @throws {Error} If git isn't installed or exits with an error; `code` is git's exit code or 'ENOENT'.
+ */
+function runGit(args, cwd, input) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const gitError = new Error((stderr || error.message).trim());
+        gitError.code = error.code;
+        reject(gitError);
+        return;
+      }
+      resolve(stdout);
+    });
+    if (input !== undefined) child.stdin.end(input);
+  });
+}
+
+/**
+ * Lists the uncommitted changes (modified, staged and untracked files) under a path.
+ * @param {string} targetPath The absolute path to the file or directory to check.
+ * @returns {Promise<string[]|null>} The changed paths, relative to the repository root, or null if the path
+ *   isn't inside a git repository or git isn't available.
+ */
+async function getUncommittedChanges(targetPath) {
+  let output;
+  try {
+    const isDirectory = (await fs.stat(targetPath)).isDirectory();
+    const cwd = isDirectory ? targetPath : path.dirname(targetPath);
+    output = await runGit(['status', '--porcelain', '-z', '--', isDirectory ? '.' : path.basename(targetPath)], cwd);
+  } catch (gitError) {
+    return null;
+  }
+  // Each entry is "XY path", unquoted; a rename or copy is followed by an entry holding the original path
+  const entries = splitNul(output);
+  const changedPaths = [];
+  for (let i = 0; i < entries.length; i++) {
+    const status = entries[i].slice(0, 2);
+    changedPaths.push(entries[i].slice(3));
+    if (/[RC]/.test(status)) i++;
+  }
+  return changedPaths.filter(changedPath => !changedPath.split('/').some(segment => OWN_ARTIFACTS.includes(segment)));
+}
+
+/**
+ * Finds the repository a path belongs to.
+ * @param {string} targetPath The absolute path to a file or directory.
+ * @returns {Promise<{root: string, pathspec: string, toTargetPath: function(string): string}|null>} The repository root,
+ *   the target as a pathspec relative to it, and a function mapping root-relative paths git prints back onto the
+ *   target's own (possibly symlinked) path; null if the path isn't in a git repository or git isn't available.
+ */
+async function findRepository(targetPath) {
+  let root;
+  let realTargetPath;
+  try {
+    realTargetPath = await fs.realpath(targetPath);
+    const isDirectory = (await fs.stat(realTargetPath)).isDirectory();
+    root = (await runGit(['rev-parse', '--show-toplevel'], isDirectory ? realTargetPath : path.dirname(realTargetPath))).trim();
+  } catch (gitError) {
+    return null;
+  }
+  return {
+    root,
+    pathspec: path.relative(root, realTargetPath).replace(/\\/g, '/') || '.',
+    toTargetPath: (rootRelativePath) => path.join(targetPath, path.relative(realTargetPath, path.join(root, rootRelativePath))),
+  };
+}
+
+/**
+ * Splits the NUL-separated output of a `git ... -z` command.
+ * @param {string} output The command output.
+ * @returns {string[]} The paths.
+ */
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Lists the files under a path that changed relative to a git ref (committed since the branch left it, modified
+ * or untracked), or that are staged in the index. Deleted files aren't listed.
+ * @param {string} targetPath The absolute path to the file or directory being minified.
+ * @param {object} selection What counts as changed.
+ * @param {string} [selection.changedSince] A git ref, e.g. "origin/main" or "HEAD~3".
+ * @param {boolean} [selection.staged] Files staged for the next commit.
+ * @returns {Promise<Set<string>>} The absolute paths of the changed files.
+ * @throws {Error} If the path isn't in a git repository or the ref doesn't exist.
+ */
+async function getChangedFiles(targetPath, { changedSince, staged } = {}) {
+  const repository = await findRepository(targetPath);
+  if (!repository) {
+    throw new Error(`'${path.relative(process.cwd(), targetPath) || '.'}' is not inside a git repository.`);
+  }
+  const { root, pathspec, toTargetPath } = repository;
+
+  const changed = [];
+  if (staged) {
+    changed.push(...splitNul(await runGit(['diff', '--cached', '--name-only', '-z', '--diff-filter=d', '--', pathspec], root)));
+  }
+  if (changedSince) {
+    try {
+      await runGit(['rev-parse', '--verify', '--quiet', `${changedSince}^{commit}`], root);
+    } catch (refError) {
+      throw new Error(`Unknown git ref '${changedSince}'.`);
+    }
+    // Compare against where the branch left the ref, so commits that landed on the ref since don't count
+    let base = changedSince;
+    try {
+      base = (await runGit(['merge-base', changedSince, 'HEAD'], root)).trim();
+    } catch (mergeBaseError) {
+      // No common history (or no HEAD yet): compare against the ref itself.
+    }
+    changed.push(...splitNul(await runGit(['diff', '--name-only', '-z', '--diff-filter=d', base, '--', pathspec], root)));
+    changed.push(...splitNul(await runGit(['ls-files', '--others', '--exclude-standard', '-z', '--', pathspec], root)));
+  }
+  return new Set(changed.map(toTargetPath));
+}
+
+/**
+ * Asks git which paths under a directory its ignore rules (.gitignore files, .git/info/exclude and the global
+ * excludes file) exclude, and turns them into patterns for isIgnored. Ignored directories are listed once,
+ * without their contents.
+ * @param {string} basePath The absolute path to the directory the patterns are relative to.
+ * @returns {Promise<string[]|null>} The patterns, or null if the directory isn't in a git repository.
+ */
+async function getGitIgnoredPatterns(basePath) {
+  const repository = await findRepository(basePath);
+  if (!repository) return null;
+  const { root, pathspec, toTargetPath } = repository;
+
+  const ignored = splitNul(await runGit(['ls-files', '--others', '--ignored', '--exclude-standard', '--directory', '-z', '--', pathspec], root));
+  const patterns = [];
+  for (const ignoredPath of ignored) {
+    const relativePath = path.relative(basePath, toTargetPath(ignoredPath)).replace(/\\/g, '/');
+    // The target itself being ignored doesn't make everything in it ignored: it was asked for explicitly.
+    if (!relativePath || relativePath.startsWith('..')) continue;
+    // Anchored to the base directory, with glob characters and a trailing space escaped
+    const pattern = `/${relativePath.replace(/[\\*?[\]{}]/g, '\\$&').replace(/ $/, '\\ ')}`;
+    patterns.push(ignoredPath.endsWith('/') ? `${pattern}/` : pattern);
+  }
+  return patterns;
+}
+
+/**
+ * Asks git which of some paths its ignore rules exclude, as the rules are now. getGitIgnoredPatterns only
+ * knows the paths that existed when the run started, so watch mode checks the files it sees with this.
+ * @param {string} basePath The absolute path to a directory in the repository.
+ * @param {string[]} filePaths The absolute paths to check.
+ * @returns {Promise<Set<string>>} The paths git ignores; empty if none are or git can't tell.
+ */
+async function getGitIgnoredPaths(basePath, filePaths) {
+  if (filePaths.length === 0) return new Set();
+  const input = filePaths.map(filePath => path.relative(basePath, filePath)).join('\0');
+  let output;
+  try {
+    output = await runGit(['check-ignore', '--stdin', '-z'], basePath, input);
+  } catch (gitError) {
+    // git check-ignore exits with 1 when none of the paths is ignored
+    return new Set();
+  }
+  return new Set(splitNul(output).map(ignoredPath => path.resolve(basePath, ignoredPath)));
+}
+
+module.exports = {
+  runGit,
+  getUncommittedChanges,
+  getChangedFiles,
+  getGitIgnoredPatterns,
+  getGitIgnoredPaths,
+};
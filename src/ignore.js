@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+// The name of ignore files, in the target directory and in any of its subdirectories.
+const IGNORE_FILE_NAME = '.minifierignore';
+
+// Files that are never minified unless --no-default-ignores is given.
+const DEFAULT_IGNORE_PATTERNS = [
+  // General config files (covers Vite, PostCSS, Tailwind, Next.js, etc.)
+  '**/*.config.{js,cjs,mjs}',
+
+  // RC files (covers ESLint, Babel, Stylelint, Prettier)
+  '**/{.,}*rc.{js,cjs,json}',
+
+  // Specific build tools
+  '**/webpack.*.js',        // For multi-file Webpack configs (e.g., webpack.dev.js)
+  '**/gulpfile.{js,mjs}',     // For Gulp
+  '**/Gruntfile.js',          // For Grunt
+  '**/rollup.config.js',      // For Rollup
+
+  // Testing frameworks
+  '**/jest.config.js',
+  '**/jest.setup.js',
+  '**/playwright.config.js',
+  '**/cypress.config.js',
+
+  // Other common tools
+  '**/babel.config.js',
+  '**/eslint.config.js',    // For new ESLint flat config
+
+  // JSON that tools read back and that should stay readable
+  '**/package.json',
+  '**/package-lock.json',
+  '**/{tsconfig,jsconfig}*.json',
+  '**/*.config.json',
+  '**/.minifier-cache.json',
+
+  // Snapshots of the originals from in-place runs
+  '**/.minifier-backup',
+];
+
+// gitignore has no extglobs and no comment or negation syntax of minimatch's own; braces are kept as an extension.
+const MINIMATCH_OPTIONS = { dot: true, nocomment: true, nonegate: true, noext: true };
+
+// Compiled patterns, keyed by their source line. Patterns don't depend on where they are used, so they're shared.
+const compiledPatterns = new Map();
+
+/**
+ * Compiles one line of an ignore file following .gitignore rules:
+ *  - blank lines and lines starting with # are skipped; trailing spaces are dropped unless escaped with a backslash;
+ *  - a leading ! re-includes what an earlier pattern excluded (\# and \! match a literal # or !);
+ *  - a trailing / only matches directories;
+ *  - a pattern with a / at the start or in the middle is relative to the ignore file's directory,
+ *    any other pattern matches at any depth below it;
+ *  - *, ?, [...] and ** work as in .gitignore, a backslash escapes the next character.
+ * @param {string} line The pattern.
+ * @returns {{pattern: string, negate: boolean, directoryOnly: boolean, matcher: Minimatch}|null} The compiled
+ *   pattern, or null for blank lines and comments.
+ */
+function compileIgnorePattern(line) {
+  if (compiledPatterns.has(line)) return compiledPatterns.get(line);
+
+  let glob = line.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+  let compiled = null;
+  if (glob && !glob.startsWith('#')) {
+    const negate = glob.startsWith('!');
+    if (negate) glob = glob.slice(1);
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+    if (glob) {
+      compiled = {
+        pattern: line.trim(),
+        negate,
+        directoryOnly,
+        matcher: new Minimatch(anchored ? glob : `**/${glob}`, MINIMATCH_OPTIONS),
+      };
+    }
+  }
+  compiledPatterns.set(line, compiled);
+  return compiled;
+}
+
+/**
+ * Loads ignore patterns from a file (e.g., .minifierignore).
+ * @param {string} ignoreFilePath - The path to the ignore file.
+ * @param {object} [logger] - Where to report an unreadable file (defaults to the console).
+ * @returns {Promise<string[]>} An array of patterns.
+ */
+async function loadIgnoreFile(ignoreFilePath, logger = console) {
+  try {
+    const content = await fs.readFile(ignoreFilePath, 'utf8');
+    // Split by new line, filter out empty lines and comments. Leading spaces are part of a pattern, as in .gitignore.
+    return content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File not found is not an error, just means no patterns to load.
+    }
+    logger.error(`Error reading ignore file '${ignoreFilePath}': ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Builds the ordered list of rules that apply below a base directory. Later rules win, so the order is:
+ * the default patterns, the given patterns (.minifierignore, --ignore, config, git), then the .minifierignore
+ * files of subdirectories, parents before children.
+ * @param {string[]} ignorePatterns The patterns relative to the base directory.
+ * @param {string} baseDir The absolute base directory.
+ * @param {object} settings defaultIgnores: apply DEFAULT_IGNORE_PATTERNS; nestedIgnores: [{dir, patterns}] from subdirectories.
+ * @returns {object[]} The rules, each a compiled pattern with the directory it is relative to and its source.
+ */
+function buildRules(ignorePatterns, baseDir, { defaultIgnores = true, nestedIgnores = [] }) {
+  const groups = [
+    ...(defaultIgnores ? [{ dir: baseDir, patterns: DEFAULT_IGNORE_PATTERNS, source: 'default ignores' }] : []),
+    { dir: baseDir, patterns: ignorePatterns || [], source: null },
+    ...[...nestedIgnores]
+      .sort((a, b) => a.dir.split(path.sep).length - b.dir.split(path.sep).length)
+      .map(({ dir, patterns }) => ({ dir, patterns, source: path.join(dir, IGNORE_FILE_NAME) })),
+  ];
+
+  const rules = [];
+  for (const { dir, patterns, source } of groups) {
+    for (const line of patterns) {
+      const compiled = compileIgnorePattern(line);
+      if (compiled) rules.push({ ...compiled, base: dir, source });
+    }
+  }
+  return rules;
+}
+
+/**
+ * Finds the last rule that matches a path, i.e. the one that decides whether it is ignored.
+ * @param {object[]} rules The rules from buildRules.
+ * @param {string} filePath The absolute path.
+ * @param {boolean} isDirectory Whether the path is a directory.
+ * @returns {object|null} The deciding rule, or null if none matches.
+ */
+function findLastMatch(rules, filePath, isDirectory) {
+  let match = null;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    const relativePath = path.relative(rule.base, filePath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) continue;
+    if (rule.matcher.match(relativePath.replace(/\\/g, '/'))) match = rule;
+  }
+  return match;
+}
+
+/**
+ * Explains why a file or directory is ignored, with .gitignore semantics: the last matching pattern wins,
+ * and everything inside an ignored directory is ignored (a ! pattern can't re-include it).
+ * @param {string} filePath The absolute path to the file or directory.
+ * @param {string[]} ignorePatterns The patterns relative to baseDir.
+ * @param {string} baseDir The base directory from which the patterns are relative.
+ * @param {object} [settings] isDirectory: the path is a directory; defaultIgnores: apply DEFAULT_IGNORE_PATTERNS
+ *   (default true); nestedIgnores: [{dir, patterns}] loaded from .minifierignore files in subdirectories.
+ * @returns {{pattern: string, source: string|null}|null} The pattern that ignores the path and the ignore file
+ *   it comes from ('default ignores' for a default pattern, null for the target's own patterns), or null if
+ *   the path isn't ignored.
+ */
+function getIgnoreMatch(filePath, ignorePatterns, baseDir, settings = {}) {
+  const relativePath = path.relative(baseDir, filePath);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+
+  const rules = buildRules(ignorePatterns, baseDir, settings);
+  const segments = relativePath.split(path.sep);
+  let current = baseDir;
+  for (let i = 0; i < segments.length; i++) {
+    current = path.join(current, segments[i]);
+    const isLast = i === segments.length - 1;
+    const match = findLastMatch(rules, current, isLast ? Boolean(settings.isDirectory) : true);
+    if (match && !match.negate) return { pattern: match.pattern, source: match.source };
+  }
+  return null;
+}
+
+/**
+ * Checks if a file or directory should be ignored; see getIgnoreMatch.
+ * @param {string} filePath The absolute path to the file or directory.
+ * @param {string[]} ignorePatterns The patterns relative to baseDir.
+ * @param {string} baseDir The base directory from which the patterns are relative.
+ * @param {object} [settings] isDirectory, defaultIgnores and nestedIgnores, as for getIgnoreMatch.
+ * @returns {boolean} True if the file/directory should be ignored, false otherwise.
+ */
+function isIgnored(filePath, ignorePatterns, baseDir, settings = {}) {
+  return getIgnoreMatch(filePath, ignorePatterns, baseDir, settings) !== null;
+}
+
+/**
+ * Picks the ignore settings of a run out of the minifier options.
+ * @param {object} options The minifier options.
+ * @param {boolean} [isDirectory] Whether the path being checked is a directory.
+ * @returns {object} The settings for isIgnored and getIgnoreMatch.
+ */
+function getIgnoreSettings(options, isDirectory = false) {
+  return {
+    isDirectory,
+    defaultIgnores: options.defaultIgnores !== false,
+    nestedIgnores: options.nestedIgnores || [],
+  };
+}
+
+module.exports = {
+  IGNORE_FILE_NAME,
+  DEFAULT_IGNORE_PATTERNS,
+  loadIgnoreFile,
+  getIgnoreMatch,
+  isIgnored,
+  getIgnoreSettings,
+};
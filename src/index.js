@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  minifyContent,
+  processFile,
+  traverseAndMinifyDirectory,
+  saveRunState,
+  displayResultsTable,
+} = require('./minifier');
+const { isIgnored } = require('./ignore');
+const { compressContent } = require('./compress');
+const { FILE_TYPES } = require('./file-types');
+const { getSourceMappingUrl, decodeDataUri, toInlineSourceMapComment } = require('./source-maps');
+const { hasBudgets, checkBudgets } = require('./budgets');
+const { verifyOutput } = require('./verify');
+const { resolveOptions, prepareRun } = require('./run-options');
+
+// The same defaults the CLI uses, so the library and `minifier <path>` produce identical output.
+const DEFAULT_OPTIONS = {
+  dropConsole: false,
+  mangle: true,
+  collapseWhitespace: true,
+  removeComments: true,
+  removeRedundantAttributes: true,
+  useShortDoctype: true,
+  minifyCss: true,
+  minifyJs: true,
+  sourceMap: false,
+  dryRun: false,
+  verbose: false,
+};
+
+// Used unless a logger is passed in: the library never writes to the console on its own.
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Minifies a string of JavaScript, CSS, HTML, JSON or SVG/XML in memory, without touching the file system.
+ * @param {string} code The source code.
+ * @param {object} options The minifier options, as accepted by the CLI (camelCased).
+ * @param {string} options.type 'js', 'mjs', 'cjs', 'css', 'html', 'json', 'svg' or 'xml', or a type a plugin adds.
+ * @param {Array<string|Array>} [options.plugins] Plugin module names or paths, or [module, options] pairs.
+ * @param {string} [options.filename] The file name to use in source maps.
+ * @param {object|string} [options.inputSourceMap] A source map the code already has; an inline one is picked up by itself.
+ * @returns {Promise<{code: string, map: string|null, stats: object}>} The minified code, its source map (with
+ *   sourceMap: true) and the original, minified and (with compress) gzip/brotli sizes.
+ * @throws {Error} If the type is missing, the code can't be parsed or (with verify: true) the output fails verification.
+ */
+async function minifyCode(code, options = {}) {
+  const { type, filename, ...rest } = options;
+  const runOptions = resolveOptions({ ...DEFAULT_OPTIONS, ...rest });
+  const pluginTypes = Object.values(runOptions.extensions);
+  if (!FILE_TYPES.includes(type) && !pluginTypes.includes(type)) {
+    throw new Error(`minifyCode needs a type of ${FILE_TYPES.concat(pluginTypes).join(', ')}; got '${type}'.`);
+  }
+  const target = filename ? { filePath: path.resolve(process.cwd(), filename) } : {};
+
+  // An input map can be passed in, or come inline with the code; a map file can't be followed without the file system.
+  let inputSourceMap = typeof runOptions.inputSourceMap === 'string' ? JSON.parse(runOptions.inputSourceMap) : runOptions.inputSourceMap;
+  const sourceMappingUrl = getSourceMappingUrl(String(code));
+  if (!inputSourceMap && runOptions.sourceMap && sourceMappingUrl && sourceMappingUrl.startsWith('data:')) {
+    inputSourceMap = decodeDataUri(sourceMappingUrl);
+  }
+  if (inputSourceMap) target.inputSourceMap = inputSourceMap;
+
+  let { code: minifiedCode, map } = await minifyContent(String(code), type, runOptions, target);
+  if (runOptions.verify) await verifyOutput(minifiedCode, String(code), type);
+  if (map && runOptions.inlineSourceMap) {
+    minifiedCode += toInlineSourceMapComment(map, type);
+  }
+
+  const originalSize = Buffer.byteLength(String(code), 'utf8');
+  const minifiedSize = Buffer.byteLength(minifiedCode, 'utf8');
+  const stats = {
+    originalSize,
+    minifiedSize,
+    reduction: originalSize - minifiedSize,
+    reductionPercent: originalSize > 0 ? ((originalSize - minifiedSize) / originalSize * 100) : 0,
+  };
+  for (const { format, data } of await compressContent(minifiedCode, runOptions, runOptions.compress)) {
+    stats[`${format}Size`] = data.length;
+  }
+
+  return { code: minifiedCode, map, stats };
+}
+
+/**
+ * Minifies every eligible file in a directory, like the CLI but without printing anything.
+ * Progress is reported through options.events (an EventEmitter) as 'file:start' ({ filePath }),
+ * 'file:done' and 'file:error' ({ filePath, result }), and log lines go to options.logger if given.
+ * The build cache (cache: true) and the asset manifest of a hashed output pattern are saved as in the CLI.
+ * changedSince, staged and respectGitignore select files through git like their CLI flags.
+ * plugins are module names or paths, resolved from the current directory, as with --plugin.
+ * With purgeCss: true, unused CSS rules are removed and each result lists them as purgedSelectors.
+ * With mangleProps: true or a nameCache file, every file is mangled with the same names, and the nameCache
+ * file (resolved from the current directory) is read before the run and written after it.
+ * @param {string} directory The directory to minify.
+ * @param {object} [options] The minifier options, as accepted by the CLI (camelCased), plus events and logger.
+ * @returns {Promise<object[]>} The per-file results, in traversal order.
+ * @throws {Error} If the directory doesn't exist, an option is invalid or a git ref can't be resolved.
+ */
+async function minifyDirectory(directory, options = {}) {
+  const basePath = path.resolve(process.cwd(), directory);
+  const stat = await fs.stat(basePath);
+  if (!stat.isDirectory()) {
+    throw new Error(`'${directory}' is not a directory.`);
+  }
+
+  const logger = options.logger || SILENT_LOGGER;
+  const { runOptions } = await prepareRun(basePath, resolveOptions({ ...DEFAULT_OPTIONS, ...options }), logger);
+
+  const results = await traverseAndMinifyDirectory(basePath, runOptions);
+  if (hasBudgets(runOptions)) {
+    checkBudgets(results, runOptions.budgets, runOptions.minReduction);
+  }
+  await saveRunState(results, runOptions);
+  return results;
+}
+
+/**
+ * Minifies a directory and prints the summary table, like `traverseAndMinifyDirectory` from src/minifier.js did
+ * when it was the package's entry point. Kept for scripts written against earlier versions; use minifyDirectory.
+ * @param {string} directory The directory to minify.
+ * @param {object} options The minifier options; they aren't changed.
+ * @returns {Promise<object[]>} The per-file results, in traversal order.
+ */
+async function minifyDirectoryWithTable(directory, options) {
+  const results = await traverseAndMinifyDirectory(directory, options);
+  displayResultsTable(results);
+  return results;
+}
+
+module.exports = {
+  minifyCode,
+  minifyDirectory,
+  DEFAULT_OPTIONS,
+  // The exports of src/minifier.js when it was the package's entry point, kept for scripts written against them.
+  traverseAndMinifyDirectory: minifyDirectoryWithTable,
+  processFile,
+  isIgnored,
+};
@@ -1,220 +1,475 @@
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const { Table } = require('console-table-printer');
 const { minify: terserMinify } = require('terser');
 const { minify: htmlMinify } = require('html-minifier-terser');
 const postcss = require('postcss');
 const cssnano = require('cssnano');
-const { minimatch } = require('minimatch');
+const { resolveFileOptions } = require('./config');
+const { WorkerPool, canUseWorkers } = require('./pool');
+const { hashContent, hashOptions, getCacheKey, findValidEntry, stableStringify, saveCache, updateCache } = require('./cache');
+const { isHashedOutputPattern, getOutputPaths, getOutputRoot } = require('./output-paths');
+const { getAssetPhase, recordAsset, rewriteHtmlReferences, cssReferencesPlugin, writeManifest } = require('./assets');
+const { parseCompressFormats, compressContent, writeCompressedFiles } = require('./compress');
+const { formatBytes } = require('./format');
+const { FILE_TYPES, DEFAULT_EXTENSION_TYPES, getFileType } = require('./file-types');
+const { loadInputSourceMap, relativizeSources, toInlineSourceMapComment } = require('./source-maps');
+const { summarizeResults } = require('./report');
+const { writeFileAtomic, backupOriginal, recordBackups, isInBackupDir } = require('./backup');
+const { IGNORE_FILE_NAME, loadIgnoreFile, getIgnoreMatch, isIgnored, getIgnoreSettings } = require('./ignore');
+const { detectAlreadyMinified, verifyOutput } = require('./verify');
+const { PURGE_CONTENT_TYPES, collectUsedNames, purgeCssPlugin } = require('./purge-css');
+const {
+  loadPlugins,
+  findPluginMinifier,
+  runContentHooks,
+  getPostcssPlugins,
+  mergeTerserOptions,
+  runResultHooks,
+} = require('./plugins');
+const { getTerserOptions, getCssnanoOptions, getHtmlMinifierOptions } = require('./tool-options');
+const { saveNameCache } = require('./name-cache');
+
+// File extensions that processFile minifies by default; --extensions can map more.
+const MINIFIABLE_EXTENSIONS = Object.keys(DEFAULT_EXTENSION_TYPES);
+
+// File types that get source maps.
+const SOURCE_MAP_TYPES = ['js', 'mjs', 'cjs', 'css'];
+
+// How many removed selectors --purge-css lists in the log line of a file; the reports list all of them.
+const MAX_LOGGED_SELECTORS = 10;
 
 
 /**
- * Checks if a file or directory should be ignored based on provided patterns.
- * @param {string} filePath The absolute path to the file or directory.
- * @param {string[]} ignorePatterns An array of minimatch patterns to ignore.
- * @param {string} baseDir The base directory from which the patterns are relative.
- * @returns {boolean} True if the file/directory should be ignored, false otherwise.
+ * Creates the empty result object that processFile fills in for a file.
+ * @param {string} filePath The absolute path to the file.
+ * @returns {object} A result with status 'Skipped' and zeroed sizes.
  */
-function isIgnored(filePath, ignorePatterns, baseDir) {
-  // ✅ Default patterns to ignore common config files
-
-  const DEFAULT_IGNORE_PATTERNS = [
-    // General config files (covers Vite, PostCSS, Tailwind, Next.js, etc.)
-    '**/*.config.{js,cjs,mjs}',
-
-    // RC files (covers ESLint, Babel, Stylelint, Prettier)
-    '**/{.,}*rc.{js,cjs,json}',
-
-    // Specific build tools
-    '**/webpack.*.js',        // For multi-file Webpack configs (e.g., webpack.dev.js)
-    '**/gulpfile.{js,mjs}',     // For Gulp
-    '**/Gruntfile.js',          // For Grunt
-    '**/rollup.config.js',      // For Rollup
-
-    // Testing frameworks
-    '**/jest.config.js',
-    '**/jest.setup.js',
-    '**/playwright.config.js',
-    '**/cypress.config.js',
-
-    // Other common tools
-    '**/babel.config.js',
-    '**/eslint.config.js',    // For new ESLint flat config
-  ];
-
-  // Combine default patterns with user-provided patterns
-  const allPatterns = [...new Set([...DEFAULT_IGNORE_PATTERNS, ...(ignorePatterns || [])])];
-
-  const relativePath = path.relative(baseDir, filePath);
-  if (relativePath === '' || relativePath === '.') {
-    return false;
-  }
-  const normalizedPath = relativePath.replace(/\\/g, '/');
-
-  // Check against the combined list of patterns
-  for (const pattern of allPatterns) {
-    const normalizedPattern = pattern.replace(/\\/g, '/');
-    if (minimatch(normalizedPath, normalizedPattern, { dot: true })) {
-      return true;
-    }
-    // Ensure patterns matching directories also match their contents
-    if (minimatch(normalizedPath + '/', normalizedPattern + '/', { dot: true })) {
-        return true;
+function createResult(filePath) {
+  return {
+    filePath: path.relative(process.cwd(), filePath),
+    originalSize: 0,
+    minifiedSize: 0,
+    reduction: 0,
+    reductionPercent: 0,
+    status: 'Skipped',
+    outputFilePath: null,
+    sourceMapGenerated: false,
+    gzipSize: null,
+    brotliSize: null,
+    compressedFiles: [],
+    error: null,
+  };
+}
+
+/**
+ * Compresses the output in every format that --compress or a size budget asks for and records the sizes on the result.
+ * @param {string} content The output content.
+ * @param {object} options The minifier options (uses compress and measureSizes).
+ * @param {object} result The result to record gzipSize/brotliSize on.
+ * @returns {Promise<Array<{format: string, extension: string, data: Buffer}>>} The variants to write: only the --compress formats.
+ */
+async function measureCompressedSizes(content, options, result) {
+  const writtenFormats = parseCompressFormats(options.compress);
+  const formats = [...new Set([...writtenFormats, ...(options.measureSizes || [])])];
+  if (formats.length === 0) return [];
+
+  const variants = await compressContent(content, options, formats);
+  for (const { format, data } of variants) {
+    result[`${format}Size`] = data.length;
+  }
+  return variants.filter(({ format }) => writtenFormats.includes(format));
+}
+
+/**
+ * Strips the whitespace between JSON tokens. Strings and numbers are copied verbatim, so values keep their
+ * exact spelling (large integers, 1.0, unicode escapes), which a JSON.parse/JSON.stringify round trip would not.
+ * @param {string} content The JSON.
+ * @returns {string} The minified JSON.
+ * @throws {SyntaxError} If the content isn't valid JSON.
+ */
+function minifyJson(content) {
+  const json = content.replace(/^\uFEFF/, '');
+  JSON.parse(json);
+  return json.replace(/("(?:[^"\\]|\\.)*")|[ \t\n\r]+/g, (match, string) => string || '');
+}
+
+// Tokens of an XML document, in matching order: CDATA sections, comments, <script>/<style> elements (kept
+// verbatim, their content isn't XML), tags (including <?xml ?> and <!DOCTYPE>), and text.
+const XML_TOKEN_REGEX = /(<!\[CDATA\[[\s\S]*?\]\]>)|(<!--[\s\S]*?-->)|(<(script|style)\b(?:"[^"]*"|'[^']*'|[^'">])*>[\s\S]*?<\/\4\s*>)|(<(?:"[^"]*"|'[^']*'|[^'">])*>)|([^<]+)/gi;
+
+/**
+ * Minifies SVG and other XML: removes comments, tidies whitespace inside tags and drops indentation between
+ * elements. Whitespace within a line of text is collapsed to one space rather than removed, since it can be
+ * significant (e.g. between two SVG <tspan>s); CDATA sections are left untouched.
+ * @param {string} content The XML.
+ * @param {object} options The minifier options (uses removeComments and collapseWhitespace).
+ * @returns {string} The minified XML.
+ */
+function minifyXml(content, options) {
+  return content.replace(XML_TOKEN_REGEX, (match, cdata, comment, rawElement, rawTagName, tag, text) => {
+    if (comment) return options.removeComments === false ? match : '';
+    if (cdata || rawElement || options.collapseWhitespace === false) return match;
+    if (tag) {
+      return tag.replace(/("[^"]*"|'[^']*')|\s+/g, (tagMatch, quoted) => quoted || ' ').replace(/\s+(\??\/?>)$/, '$1');
     }
+    if (/^\s*$/.test(text)) return /[\r\n]/.test(text) ? '' : ' ';
+    return text.replace(/\s+/g, ' ');
+  }).trim();
+}
+
+/**
+ * Minifies JavaScript, CSS, HTML, JSON or SVG/XML in memory. Nothing is read from or written to disk.
+ * Plugins (options.plugins) can transform the content before and after minification, and replace the
+ * minifier of a type or add one for a new extension.
+ * @param {string} content The source code.
+ * @param {string} type One of FILE_TYPES: 'js', 'mjs' (ES module), 'cjs' (CommonJS), 'css', 'html', 'json', 'svg' or 'xml',
+ *   or a type a plugin registered a minifier for.
+ * @param {object} options The minifier options.
+ * @param {object} [target] Where the code lives; only used for source maps and rewriting asset references.
+ * @param {string} [target.filePath] The absolute path to the source file.
+ * @param {string} [target.outputFilePath] The absolute path the output will be written to.
+ * @param {string} [target.sourceMapUrl] The URL of the source map; without it no sourceMappingURL comment is added.
+ * @param {object} [target.inputSourceMap] A map the content already ships with; the output map is chained onto it.
+ * @returns {Promise<{code: string, map: string|null, purgedSelectors?: string[]}>} The minified code, with
+ *   options.sourceMap its source map, and with options.purgeCss (CSS only) the selectors that were removed.
+ * @throws {Error} If the type is unsupported, the code can't be parsed or a plugin fails.
+ */
+async function minifyContent(content, type, options, target = {}) {
+  const plugins = loadPlugins(options.plugins);
+  const context = {
+    filePath: target.filePath || null,
+    outputFilePath: target.outputFilePath || target.filePath || null,
+    type,
+    options,
+  };
+
+  const input = await runContentHooks(plugins, 'beforeMinify', content, context);
+  let output;
+  const pluginMinifier = findPluginMinifier(plugins, type);
+  if (pluginMinifier) {
+    const { plugin, minify } = pluginMinifier;
+    const returned = await callPluginMinifier(plugin, () => minify(input, context));
+    output = typeof returned === 'string' ? { code: returned, map: null } : { map: null, ...returned };
+  } else {
+    output = await minifyWithBuiltIns(input, type, options, target, { plugins, context });
   }
-  return false;
+  output.code = await runContentHooks(plugins, 'afterMinify', output.code, context);
+  return output;
 }
 
 /**
- * Helper to format bytes into a readable string (B, KB, MB).
- * @param {number} bytes The number of bytes.
- * @returns {string} The formatted size string.
+ * Runs a plugin's minifier, checking that it returned code.
+ * @param {object} plugin The plugin.
+ * @param {function(): *} run Calls the minifier.
+ * @returns {Promise<string|{code: string, map: string|null}>} What the minifier returned.
+ * @throws {Error} If the minifier throws or returns no code.
  */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+async function callPluginMinifier(plugin, run) {
+  let returned;
+  try {
+    returned = await run();
+  } catch (minifyError) {
+    throw new Error(`Plugin '${plugin.name}' failed to minify: ${minifyError.message}`);
+  }
+  if (typeof returned !== 'string' && !(returned && typeof returned.code === 'string')) {
+    throw new Error(`Plugin '${plugin.name}' failed to minify: a minifier must return a string or { code, map }.`);
+  }
+  return returned;
 }
 
+/**
+ * Minifies content with the built-in minifier of its type, with the PostCSS plugins and Terser options
+ * that plugins add.
+ * @param {string} content The source code.
+ * @param {string} type One of FILE_TYPES.
+ * @param {object} options The minifier options.
+ * @param {object} target Where the code lives, as for minifyContent.
+ * @param {{plugins: object[], context: object}} pluginSetup The loaded plugins and the context passed to them.
+ * @returns {Promise<{code: string, map: string|null, purgedSelectors?: string[]}>} As for minifyContent.
+ * @throws {Error} If the type is unsupported or the code can't be parsed.
+ */
+async function minifyWithBuiltIns(content, type, options, target, { plugins, context }) {
+  const filePath = target.filePath || path.resolve(process.cwd(), `input.${type}`);
+  const outputFilePath = target.outputFilePath || filePath;
+  const referenceContext = { filePath, outputFilePath, options };
+
+  if (type === 'json') {
+    return { code: minifyJson(content), map: null };
+  }
+  if (type === 'svg' || type === 'xml') {
+    return { code: minifyXml(content, options), map: null };
+  }
+
+  if (type === 'html') {
+    let code = await htmlMinify(content, getHtmlMinifierOptions(options));
+    if (options.assetMap) {
+      code = rewriteHtmlReferences(code, referenceContext);
+    }
+    return { code, map: null };
+  }
+
+  const cleanedContent = content.replace(/\/\/[#@]\s*sourceMappingURL=.*$/gm, '').replace(/\/\*#\s*sourceMappingURL=.*?\*\//g, '').trim();
+
+  if (type === 'js' || type === 'mjs' || type === 'cjs') {
+    const terserOptions = await mergeTerserOptions(plugins, {
+      ...getTerserOptions(type, options),
+      sourceMap: options.sourceMap ? {
+        filename: path.basename(outputFilePath),
+        url: target.sourceMapUrl,
+        ...(target.inputSourceMap ? { content: target.inputSourceMap } : {}),
+      } : false,
+    }, context);
+    const terserResult = await terserMinify({ [path.basename(filePath)]: cleanedContent }, terserOptions);
+    if (terserResult.error) throw terserResult.error;
+
+    let map = null;
+    if (options.sourceMap && terserResult.map) {
+      const mapObject = JSON.parse(terserResult.map);
+      if (!target.inputSourceMap && (!mapObject.sourcesContent || mapObject.sourcesContent.length === 0)) {
+          mapObject.sourcesContent = [cleanedContent];
+      }
+      map = JSON.stringify(mapObject);
+    }
+    return { code: terserResult.code, map };
+  }
+
+  if (type === 'css') {
+    const postcssOptions = {
+      from: filePath,
+      to: outputFilePath,
+      map: options.sourceMap ? {
+        inline: false,
+        annotation: target.sourceMapUrl || false,
+        sourcesContent: true,
+        ...(target.inputSourceMap ? { prev: target.inputSourceMap } : {}),
+      } : false,
+    };
+    const purgedSelectors = [];
+    const postcssPlugins = [
+      ...(options.purgeCss && options.usedNames ? [purgeCssPlugin({ usedNames: options.usedNames, safelist: options.purgeSafelist }, purgedSelectors)] : []),
+      ...await getPostcssPlugins(plugins, context),
+      ...(options.assetMap ? [cssReferencesPlugin(referenceContext)] : []),
+      cssnano(getCssnanoOptions(options)),
+    ];
+    const postcssResult = await postcss(postcssPlugins).process(cleanedContent, postcssOptions);
+    return {
+      code: postcssResult.css,
+      map: options.sourceMap && postcssResult.map ? postcssResult.map.toString() : null,
+      ...(options.purgeCss && options.usedNames ? { purgedSelectors } : {}),
+    };
+  }
+
+  throw new Error(`Unsupported type '${type}'. Use ${FILE_TYPES.join(', ')}.`);
+}
 
 /**
- * Processes a single file: lints, minifies, and saves it.
+ * Processes a single file: lints, minifies, and saves it, then hands the result to the onResult hooks of plugins.
  * @param {string} filePath The absolute path to the file.
  * @param {object} options The full set of minifier options.
  * @returns {object} An object containing the processing result.
  */
 async function processFile(filePath, options) {
-  const ext = path.extname(filePath).toLowerCase();
-  const fileName = path.basename(filePath);
-  const dirName = path.dirname(filePath);
+  return applyResultHooks(filePath, await minifyFile(filePath, options), options);
+}
+
+/**
+ * Runs the onResult hooks of plugins on a file's result. Worker threads only minify; the hooks always run on
+ * the main thread, so a plugin that collects results across files sees every one of them.
+ * @param {string} filePath The absolute path to the file.
+ * @param {object} result The file's result; a hook that throws turns it into an Error.
+ * @param {object} options The full set of minifier options.
+ * @returns {Promise<object>} The result.
+ */
+async function applyResultHooks(filePath, result, options) {
+  if (options.plugins && options.plugins.length > 0) {
+    const context = {
+      filePath,
+      outputFilePath: result.outputFilePath ? path.resolve(process.cwd(), result.outputFilePath) : null,
+      type: getFileType(filePath, options),
+      options,
+    };
+    try {
+      await runResultHooks(loadPlugins(options.plugins), result, context);
+    } catch (hookError) {
+      result.status = 'Error';
+      result.error = hookError.message;
+      (options.logger || console).error(`\nError processing ${result.filePath}:\n${hookError.message}`); // Log immediately
+    }
+  }
+  return result;
+}
+
+/**
+ * Minifies a single file and writes its outputs.
+ * @param {string} filePath The absolute path to the file.
+ * @param {object} options The full set of minifier options.
+ * @returns {object} An object containing the processing result.
+ */
+async function minifyFile(filePath, options) {
+  const fileType = getFileType(filePath, options);
   const relativeFilePath = path.relative(process.cwd(), filePath);
+  const logger = options.logger || console;
 
-  const result = {
-    filePath: relativeFilePath,
-    originalSize: 0,
-    minifiedSize: 0,
-    reduction: 0,
-    reductionPercent: 0,
-    status: 'Skipped',
-    outputFilePath: null,
-    sourceMapGenerated: false,
-    error: null,
-  };
+  const result = createResult(filePath);
 
-  if (options.ignorePatterns && isIgnored(filePath, options.ignorePatterns, options.basePath)) {
-    if (options.verbose) console.log(`Ignoring (matches pattern): ${relativeFilePath}`); // Log immediately
+  if (options.ignorePatterns && isIgnored(filePath, options.ignorePatterns, options.basePath, getIgnoreSettings(options))) {
+    if (options.verbose) logger.log(`Ignoring (matches pattern): ${relativeFilePath}`); // Log immediately
     result.status = 'Ignored';
     return result;
   }
 
+  // Apply any per-glob overrides from the config file
+  options = resolveFileOptions(filePath, options);
+
   let originalContent;
   try {
     originalContent = await fs.readFile(filePath, 'utf8');
   } catch (readError) {
     result.status = 'Error';
     result.error = `Failed to read: ${readError.message}`;
-    console.error(`Failed to read file ${relativeFilePath}: ${readError.message}`); // Log immediately
+    logger.error(`Failed to read file ${relativeFilePath}: ${readError.message}`); // Log immediately
     return result;
   }
 
   result.originalSize = Buffer.byteLength(originalContent, 'utf8');
 
+  // Vendor bundles and *.min.* files are left as they are: minifying them again gains little and risks breaking them
+  if (fileType && options.skipMinified !== false) {
+    const reason = detectAlreadyMinified(originalContent, filePath, fileType);
+    if (reason) {
+      result.status = 'Already Minified';
+      result.skipReason = reason;
+      result.minifiedSize = result.originalSize;
+      if (options.verbose) logger.log(`Skipping (already minified: ${reason}): ${relativeFilePath}`); // Log immediately
+      if (options.measureSizes) await measureCompressedSizes(originalContent, options, result);
+      // The output directory still needs the file, so it is copied there as it is
+      if (options.outputDir) {
+        const { outputFilePath } = getOutputPaths(filePath, options, originalContent);
+        result.outputFilePath = path.relative(process.cwd(), outputFilePath);
+        try {
+          if (!options.dryRun) {
+            await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
+            await writeFileAtomic(outputFilePath, originalContent);
+            if (options.verbose) logger.log(`Copied: ${relativeFilePath} -> ${result.outputFilePath}`); // Log immediately
+          } else if (options.verbose) {
+            logger.log(`[DRY RUN] Would copy ${relativeFilePath} to ${result.outputFilePath}`); // Log immediately
+          }
+        } catch (copyError) {
+          result.status = 'Error';
+          result.error = `Failed to copy to the output directory: ${copyError.message}`;
+          logger.error(`Failed to copy ${relativeFilePath} to ${result.outputFilePath}: ${copyError.message}`); // Log immediately
+        }
+      }
+      return result;
+    }
+  }
+
   let minifiedContent = originalContent;
   let minified = false;
   let sourceMapContent = null;
 
-  let outputFilePath = filePath; // Default to original path (overwrite)
+  // With a hashed output pattern the final name depends on the minified content, so these are provisional
+  // until minification is done, and the sourceMappingURL comment is appended afterwards.
+  const hashedOutput = isHashedOutputPattern(options.outputDir);
+  let {
+    outputFilePath,
+    sourceMapFilePath: sourceMapActualFilePath,
+    sourceMapUrl: sourceMapUrlRelativeFromMinifiedFile,
+  } = getOutputPaths(filePath, options);
 
   if (options.outputDir) {
-    const inputRelativePath = path.relative(options.basePath, filePath);
-    let targetFileName = fileName;
-
-    const outputDirExt = path.extname(options.outputDir);
-    const outputDirBase = path.basename(options.outputDir);
-
-    if (outputDirExt && outputDirBase.includes('*')) {
-        const parts = options.outputDir.split(path.sep);
-        const lastPart = parts[parts.length - 1];
-
-        if (lastPart.startsWith('*')) {
-            const newExtension = lastPart.substring(lastPart.indexOf('.'));
-            targetFileName = path.basename(fileName, ext) + newExtension;
-        } else {
-            console.warn(`Complex output pattern '${options.outputDir}' might not be fully supported for renaming. Using original filename.`);
-        }
-
-        const baseOutputDir = path.join(process.cwd(), ...parts.slice(0, parts.length - 1));
-        outputFilePath = path.join(baseOutputDir, inputRelativePath);
-        outputFilePath = path.join(path.dirname(outputFilePath), targetFileName);
-    } else {
-        outputFilePath = path.join(path.resolve(process.cwd(), options.outputDir), inputRelativePath);
-    }
-
     await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
   }
 
   result.outputFilePath = path.relative(process.cwd(), outputFilePath);
 
-  const sourceMapTargetDir = options.sourceMapDir
-    ? path.resolve(dirName, options.sourceMapDir)
-    : (options.outputDir ? path.dirname(outputFilePath) : dirName);
+  // Skip files whose content and effective options match the cache and whose outputs still exist
+  let cacheKey = null;
+  let inputHash = null;
+  let optionsHash = null;
+  if (options.cache) {
+    cacheKey = getCacheKey(filePath, options.cache);
+    inputHash = hashContent(originalContent);
+    optionsHash = hashOptions(options);
+    const cachedEntry = await findValidEntry(options.cache, cacheKey, inputHash, optionsHash);
+    if (cachedEntry) {
+      result.status = 'Cached';
+      result.originalSize = cachedEntry.originalSize;
+      result.minifiedSize = cachedEntry.minifiedSize;
+      result.reduction = cachedEntry.originalSize - cachedEntry.minifiedSize;
+      result.reductionPercent = cachedEntry.originalSize > 0 ? (result.reduction / cachedEntry.originalSize * 100) : 0;
+      result.outputFilePath = path.relative(process.cwd(), cachedEntry.outputFilePath);
+      result.sourceMapGenerated = cachedEntry.sourceMapGenerated;
+      result.gzipSize = cachedEntry.gzipSize;
+      result.brotliSize = cachedEntry.brotliSize;
+      result.compressedFiles = cachedEntry.compressedFilePaths.map(compressedPath => path.relative(process.cwd(), compressedPath));
+      if (cachedEntry.sourceMapFilePath) result.sourceMapPath = path.relative(process.cwd(), cachedEntry.sourceMapFilePath);
+      if (cachedEntry.purgedSelectors) result.purgedSelectors = cachedEntry.purgedSelectors;
+      if (options.verbose) logger.log(`Cached (unchanged): ${relativeFilePath}`); // Log immediately
+      return result;
+    }
+  }
 
-  const sourceMapActualFilePath = path.join(sourceMapTargetDir, `${path.basename(outputFilePath)}.map`);
-  const sourceMapUrlRelativeFromMinifiedFile = path.relative(path.dirname(outputFilePath), sourceMapActualFilePath).replace(/\\/g, '/');
+  // Chain the map the input already ships with (from TypeScript, Babel, Sass, ...), so the output map leads
+  // back to the original sources rather than to the intermediate file.
+  let inputSourceMap = null;
+  if (options.sourceMap && SOURCE_MAP_TYPES.includes(fileType)) {
+    try {
+      const loaded = await loadInputSourceMap(originalContent, filePath);
+      if (loaded) {
+        inputSourceMap = loaded.map;
+        if (options.verbose) logger.log(`Using input source map: ${loaded.mapPath ? path.relative(process.cwd(), loaded.mapPath) : `inline in ${relativeFilePath}`}`); // Log immediately
+      }
+    } catch (mapError) {
+      logger.warn(`Ignoring the input source map of ${relativeFilePath}: ${mapError.message}`); // Log immediately
+    }
+  }
 
   try {
-    const cleanedContent = originalContent.replace(/\/\/[#@]\s*sourceMappingURL=.*$/gm, '').replace(/\/\*#\s*sourceMappingURL=.*?\*\//g, '').trim();
-
-    if (ext === '.js') {
-      const terserOptions = {
-        compress: { drop_console: options.dropConsole },
-        mangle: options.mangle,
-        sourceMap: options.sourceMap ? {
-          filename: path.basename(outputFilePath),
-          url: sourceMapUrlRelativeFromMinifiedFile,
-        } : false,
-      };
-      const terserResult = await terserMinify({ [fileName]: cleanedContent }, terserOptions);
-      if (terserResult.error) throw terserResult.error;
-
-      minifiedContent = terserResult.code;
-      minified = true;
-      if (options.sourceMap && terserResult.map) {
-        const mapObject = JSON.parse(terserResult.map);
-        if (!mapObject.sourcesContent || mapObject.sourcesContent.length === 0) {
-            mapObject.sourcesContent = [cleanedContent];
-        }
-        sourceMapContent = JSON.stringify(mapObject);
+    if (fileType) {
+      // The sourceMappingURL comment is added below, once the final output and map paths are known.
+      let purgedSelectors;
+      ({ code: minifiedContent, map: sourceMapContent, purgedSelectors } = await minifyContent(originalContent, fileType, options, {
+        filePath,
+        outputFilePath,
+        inputSourceMap,
+      }));
+      if (purgedSelectors && purgedSelectors.length > 0) {
+        result.purgedSelectors = purgedSelectors;
+        const shown = purgedSelectors.slice(0, MAX_LOGGED_SELECTORS).join(', ');
+        const more = purgedSelectors.length > MAX_LOGGED_SELECTORS ? `, +${purgedSelectors.length - MAX_LOGGED_SELECTORS} more` : '';
+        logger.log(`Purged ${purgedSelectors.length} unused selector(s) from ${relativeFilePath}: ${shown}${more}`); // Log immediately
       }
-    } else if (ext === '.css') {
-      const postcssOptions = {
-        from: filePath,
-        to: outputFilePath,
-        map: options.sourceMap ? {
-          inline: false,
-          annotation: sourceMapUrlRelativeFromMinifiedFile,
-          sourcesContent: true,
-        } : false,
-      };
-      const postcssResult = await postcss([cssnano]).process(cleanedContent, postcssOptions);
-      minifiedContent = postcssResult.css;
+      // A failed check throws, so the file is reported as an error and nothing is written
+      if (options.verify) await verifyOutput(minifiedContent, originalContent, fileType);
       minified = true;
-      if (options.sourceMap && postcssResult.map) {
-        sourceMapContent = postcssResult.map.toString();
+    }
+
+    if (minified && hashedOutput) {
+      ({
+        outputFilePath,
+        sourceMapFilePath: sourceMapActualFilePath,
+        sourceMapUrl: sourceMapUrlRelativeFromMinifiedFile,
+      } = getOutputPaths(filePath, options, minifiedContent));
+      result.outputFilePath = path.relative(process.cwd(), outputFilePath);
+    }
+
+    if (minified && sourceMapContent) {
+      const mapDir = path.dirname(options.inlineSourceMap ? outputFilePath : sourceMapActualFilePath);
+      const mapObject = relativizeSources(JSON.parse(sourceMapContent), mapDir);
+      mapObject.file = path.basename(outputFilePath);
+      sourceMapContent = JSON.stringify(mapObject);
+      if (options.inlineSourceMap) {
+        minifiedContent += toInlineSourceMapComment(sourceMapContent, fileType);
+      } else {
+        minifiedContent += fileType === 'css'
+          ? `\n/*# sourceMappingURL=${sourceMapUrlRelativeFromMinifiedFile} */`
+          : `\n//# sourceMappingURL=${sourceMapUrlRelativeFromMinifiedFile}`;
       }
-    } else if (ext === '.html') {
-      minifiedContent = await htmlMinify(originalContent, {
-        collapseWhitespace: options.collapseWhitespace,
-        removeComments: options.removeComments,
-        removeRedundantAttributes: options.removeRedundantAttributes,
-        useShortDoctype: options.useShortDoctype,
-        minifyCSS: options.minifyCss,
-        minifyJS: options.minifyJs,
-      });
-      minified = true;
     }
+    const sourceMapTargetDir = path.dirname(sourceMapActualFilePath);
 
     if (minified && originalContent !== minifiedContent) {
       result.minifiedSize = Buffer.byteLength(minifiedContent, 'utf8');
@@ -222,86 +477,419 @@ async function processFile(filePath, options) {
       result.reductionPercent = result.originalSize > 0 ? (result.reduction / result.originalSize * 100) : 0;
       const sizeReport = `(${formatBytes(result.originalSize)} -> ${formatBytes(result.minifiedSize)}, -${result.reductionPercent.toFixed(1)}%)`;
 
+      const compressedVariants = await measureCompressedSizes(minifiedContent, options, result);
 
       if (!options.dryRun) {
-        await fs.writeFile(outputFilePath, minifiedContent, 'utf8');
+        // Overwriting the source: keep the original in the run's backup first, so `minifier restore` can undo it
+        if (options.backup && outputFilePath === filePath) {
+          result.backupEntry = {
+            ...await backupOriginal(options.backup, filePath, originalContent),
+            outputHash: hashContent(minifiedContent),
+          };
+        }
+        await writeFileAtomic(outputFilePath, minifiedContent);
         result.status = 'Minified';
-        console.log(`Minified: ${relativeFilePath} -> ${result.outputFilePath} ${sizeReport}`); // Log immediately
+        logger.log(`Minified: ${relativeFilePath} -> ${result.outputFilePath} ${sizeReport}`); // Log immediately
 
-        if (options.sourceMap && sourceMapContent) {
+        if (options.sourceMap && sourceMapContent && options.inlineSourceMap) {
+          result.sourceMapGenerated = true;
+        } else if (options.sourceMap && sourceMapContent) {
           await fs.mkdir(sourceMapTargetDir, { recursive: true });
           await fs.writeFile(sourceMapActualFilePath, sourceMapContent, 'utf8');
           result.sourceMapGenerated = true;
-          console.log(`Source map generated: ${path.relative(process.cwd(), sourceMapActualFilePath)}`); // Log immediately
+          result.sourceMapPath = path.relative(process.cwd(), sourceMapActualFilePath);
+          logger.log(`Source map generated: ${path.relative(process.cwd(), sourceMapActualFilePath)}`); // Log immediately
+        }
+
+        if (compressedVariants.length > 0) {
+          result.compressedFiles = (await writeCompressedFiles(outputFilePath, compressedVariants)).map(compressedPath => path.relative(process.cwd(), compressedPath));
+          logger.log(`Compressed: ${compressedVariants.map(({ format, data }) => `${format} ${formatBytes(data.length)}`).join(', ')}`); // Log immediately
         }
       } else {
         result.status = '[DRY RUN] Minified';
-        console.log(`[DRY RUN] Would minify ${relativeFilePath} to ${result.outputFilePath} ${sizeReport}`); // Log immediately
+        logger.log(`[DRY RUN] Would minify ${relativeFilePath} to ${result.outputFilePath} ${sizeReport}`); // Log immediately
         if (options.sourceMap && sourceMapContent) {
-            console.log(`[DRY RUN]   + Would generate source map: ${path.relative(process.cwd(), sourceMapActualFilePath)}`); // Log immediately
+            logger.log(`[DRY RUN]   + Would generate source map: ${options.inlineSourceMap ? '(inline)' : path.relative(process.cwd(), sourceMapActualFilePath)}`); // Log immediately
+        }
+        for (const { format, extension, data } of compressedVariants) {
+            logger.log(`[DRY RUN]   + Would write ${format}: ${result.outputFilePath}${extension} (${formatBytes(data.length)})`); // Log immediately
         }
       }
     } else {
-      if (options.verbose) console.log(`Skipping (no changes after minification): ${relativeFilePath}`); // Log immediately
+      if (options.verbose) logger.log(`Skipping (no changes after minification): ${relativeFilePath}`); // Log immediately
       result.status = 'No Change';
+      // Budgets still need the compressed size of files that are already as small as they get.
+      if (options.measureSizes) await measureCompressedSizes(originalContent, options, result);
+    }
+
+    if (options.cache && (result.status === 'Minified' || result.status === 'No Change')) {
+      // When minifying in place, the next run will read the minified content, so that is what gets hashed.
+      const overwritten = result.status === 'Minified' && outputFilePath === filePath;
+      result.cacheEntry = {
+        key: cacheKey,
+        entry: {
+          hash: overwritten ? hashContent(minifiedContent) : inputHash,
+          optionsHash,
+          outputFile: getCacheKey(outputFilePath, options.cache),
+          sourceMapFile: result.sourceMapPath ? getCacheKey(sourceMapActualFilePath, options.cache) : null,
+          compressedFiles: result.compressedFiles.map(compressedPath => getCacheKey(path.resolve(process.cwd(), compressedPath), options.cache)),
+          gzipSize: result.gzipSize,
+          brotliSize: result.brotliSize,
+          originalSize: result.originalSize,
+          minifiedSize: result.minifiedSize,
+          sourceMapGenerated: result.sourceMapGenerated,
+          ...(result.purgedSelectors ? { purgedSelectors: result.purgedSelectors } : {}),
+        },
+      };
     }
 
   } catch (minifyError) {
     result.status = 'Error';
     result.error = minifyError.message;
-    console.error(`\nError minifying ${relativeFilePath}:\n${minifyError.message}`); // Log immediately
+    logger.error(`\nError minifying ${relativeFilePath}:\n${minifyError.message}`); // Log immediately
   }
   return result;
 }
 
 /**
- * Recursively traverses a directory and processes files.
- * @param {string} directory The directory to traverse.
- * @param {object} options The minifier options.
- * @param {Array} results Accumulates the results of each processed file.
+ * Lists one directory for collectFiles: checks it against the ignore rules, loads its .minifierignore and
+ * returns its subdirectories and eligible files in readdir order. Runs on the main thread or in a pool worker.
+ * @param {string} directory The absolute path to the directory.
+ * @param {object} options The minifier options; options.nestedIgnores holds the ignore files of its parent directories.
+ * @param {boolean} [matchFiles] Whether to check files against the ignore rules too, as --list-ignored does.
+ * @returns {Promise<object|null>} { directoryMatch } if the directory is ignored, otherwise { nestedIgnore, entries }
+ *   with entries as { filePath, isDirectory, match }; null if the directory can't be read.
  */
-async function traverseAndMinifyDirectory(directory, options, results) {
-  if (options.ignorePatterns && isIgnored(directory, options.ignorePatterns, options.basePath)) {
-    if (options.verbose) console.log(`Ignoring directory: ${path.relative(process.cwd(), directory)}`);
-    return;
+async function listDirectory(directory, options, matchFiles = false) {
+  const logger = options.logger || console;
+  const directoryMatch = options.ignorePatterns
+    && getIgnoreMatch(directory, options.ignorePatterns, options.basePath, getIgnoreSettings(options, true));
+  if (directoryMatch) {
+    if (options.verbose) logger.log(`Ignoring directory: ${path.relative(process.cwd(), directory)}`);
+    return { directoryMatch };
   }
 
-  let files;
+  let names;
   try {
-    files = await fs.readdir(directory);
+    names = await fs.readdir(directory);
   } catch (readDirError) {
-    console.error(`Failed to read directory ${directory}: ${readDirError.message}`);
-    return;
+    logger.error(`Failed to read directory ${directory}: ${readDirError.message}`);
+    return null;
+  }
+
+  // A .minifierignore below the target applies to its own directory; the target's own is options.ignoreFilePath
+  let nestedIgnore = null;
+  if (options.ignorePatterns && directory !== options.basePath && names.includes(IGNORE_FILE_NAME)) {
+    const nestedIgnoreFile = path.join(directory, IGNORE_FILE_NAME);
+    nestedIgnore = { dir: directory, patterns: await loadIgnoreFile(nestedIgnoreFile, logger) };
+    if (options.verbose) logger.log(`Using ignore file: ${path.relative(process.cwd(), nestedIgnoreFile)}`);
   }
+  const fileIgnoreSettings = getIgnoreSettings({
+    ...options,
+    nestedIgnores: nestedIgnore ? [...(options.nestedIgnores || []), nestedIgnore] : options.nestedIgnores,
+  });
 
-  for (const file of files) {
-    const filePath = path.join(directory, file);
+  const entries = [];
+  for (const name of names) {
+    const filePath = path.join(directory, name);
     let stat;
     try {
       stat = await fs.stat(filePath);
     } catch (statError) {
-      console.error(`Failed to get stat for ${filePath}: ${statError.message}`);
+      logger.error(`Failed to get stat for ${filePath}: ${statError.message}`);
       continue;
     }
 
     if (stat.isDirectory()) {
-      await traverseAndMinifyDirectory(filePath, options, results);
-    } else {
-      const ext = path.extname(filePath).toLowerCase();
-      if (['.js', '.css', '.html'].includes(ext)) {
-        const fileResult = await processFile(filePath, options);
-        results.push(fileResult);
+      if (isInBackupDir(filePath)) {
+        if (options.verbose) logger.log(`Skipping backup directory: ${path.relative(process.cwd(), filePath)}`);
+        continue;
       }
+      entries.push({ filePath, isDirectory: true, match: null });
+    } else if (getFileType(filePath, options)) {
+      const match = matchFiles && options.ignorePatterns
+        && getIgnoreMatch(filePath, options.ignorePatterns, options.basePath, fileIgnoreSettings);
+      entries.push({ filePath, isDirectory: false, match: match || null });
     }
   }
+  return { nestedIgnore, entries };
 }
 
+/**
+ * Lists a directory and then all of its subdirectories at once, each with the ignore files of its parents.
+ * @param {string} directory The absolute path to the directory.
+ * @param {object[]} nestedIgnores The ignore files of the directory's parents.
+ * @param {function(string, object[]): Promise<object|null>} list Lists one directory, like listDirectory.
+ * @returns {Promise<{directory: string, listing: object|null, subdirectories: Array<object|null>}>} The listings,
+ *   as a tree in traversal order.
+ */
+async function walkDirectory(directory, nestedIgnores, list) {
+  const listing = await list(directory, nestedIgnores);
+  if (!listing || listing.directoryMatch) return { directory, listing, subdirectories: [] };
+
+  const inherited = listing.nestedIgnore ? [...nestedIgnores, listing.nestedIgnore] : nestedIgnores;
+  const subdirectories = await Promise.all(listing.entries.map(entry => (entry.isDirectory ? walkDirectory(entry.filePath, inherited, list) : null)));
+  return { directory, listing, subdirectories };
+}
+
+/**
+ * Adds the files of a walkDirectory tree to files (or ignored), depth first, as a sequential walk would.
+ * @param {object} tree The tree from walkDirectory.
+ * @param {object} options The minifier options (uses changedFiles; nestedIgnores receives the ignore files found).
+ * @param {string[]} files Accumulates the absolute paths of eligible files.
+ * @param {object[]|null} ignored Accumulates ignored files and directories, if given.
+ */
+function addWalkedFiles({ directory, listing, subdirectories }, options, files, ignored) {
+  if (!listing) return;
+  if (listing.directoryMatch) {
+    if (ignored) ignored.push({ filePath: directory, isDirectory: true, ...listing.directoryMatch });
+    return;
+  }
+  if (listing.nestedIgnore) options.nestedIgnores.push(listing.nestedIgnore);
+
+  listing.entries.forEach((entry, index) => {
+    if (entry.isDirectory) {
+      addWalkedFiles(subdirectories[index], options, files, ignored);
+    } else if (options.changedFiles && !options.changedFiles.has(entry.filePath)) {
+      // Left out by --changed-since or --staged
+    } else if (entry.match) {
+      ignored.push({ filePath: entry.filePath, isDirectory: false, ...entry.match });
+    } else {
+      files.push(entry.filePath);
+    }
+  });
+}
+
+/**
+ * Recursively traverses a directory and collects the files eligible for minification.
+ * Like the minification itself, the directories are listed by a worker_threads pool when more than one worker
+ * is allowed; files are collected in the same order either way.
+ * With options.changedFiles (from --changed-since or --staged), files outside that set are left out.
+ * The .minifierignore files of subdirectories are loaded into options.nestedIgnores on the way.
+ * @param {string} directory The directory to traverse.
+ * @param {object} options The minifier options.
+ * @param {string[]} files Accumulates the absolute paths of eligible files, in traversal order.
+ * @param {object[]} [ignored] If given, ignored files are left out of files and collected here instead, with
+ *   ignored directories, as { filePath, isDirectory, pattern, source }.
+ */
+async function collectFiles(directory, options, files, ignored = null) {
+  const logger = options.logger || console;
+  const matchFiles = ignored !== null;
+  const concurrency = resolveConcurrency(options.concurrency, Infinity);
+  const pool = concurrency > 1 && canUseWorkers(options) ? new WorkerPool(concurrency, options) : null;
+  const list = pool
+    ? (dir, nestedIgnores) => pool.listDirectory(dir, nestedIgnores, matchFiles).catch(workerError => {
+      logger.error(`Failed to read directory ${dir}: ${workerError.message}`);
+      return null;
+    })
+    : (dir, nestedIgnores) => listDirectory(dir, { ...options, nestedIgnores }, matchFiles);
+
+  let tree;
+  try {
+    tree = await walkDirectory(directory, options.nestedIgnores || [], list);
+  } finally {
+    if (pool) await pool.close();
+  }
+  addWalkedFiles(tree, options, files, ignored);
+}
+
+/**
+ * Resolves the number of workers to use for a run.
+ * @param {number|undefined} concurrency The requested concurrency (defaults to the CPU count).
+ * @param {number} fileCount The number of files to process.
+ * @returns {number} The number of workers, never more than the number of files.
+ */
+function resolveConcurrency(concurrency, fileCount) {
+  const requested = concurrency || (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+  return Math.max(1, Math.min(requested, fileCount));
+}
+
+/**
+ * Emits a per-file progress event on options.events, if an EventEmitter was given.
+ * @param {object} options The minifier options.
+ * @param {string} eventName 'file:start', 'file:done' or 'file:error'.
+ * @param {object} payload The event payload ({ filePath, result }).
+ */
+function emitFileEvent(options, eventName, payload) {
+  if (options.events) options.events.emit(eventName, payload);
+}
+
+/**
+ * Runs processFile over a list of files, spreading the work over a worker_threads pool when more than one worker is useful.
+ * Results are returned in the same order as the input files, regardless of which finishes first.
+ * @param {string[]} files The absolute paths of the files to process.
+ * @param {object} options The minifier options.
+ * @returns {Promise<object[]>} The processing results.
+ */
+async function runFiles(files, options) {
+  const concurrency = resolveConcurrency(options.concurrency, files.length);
+
+  // A shared name cache is filled in file by file, so it can't be split over workers
+  if (concurrency <= 1 || options.sharedNameCache || !canUseWorkers(options)) {
+    const results = [];
+    for (const filePath of files) {
+      emitFileEvent(options, 'file:start', { filePath });
+      const result = await processFile(filePath, options);
+      emitFileEvent(options, result.status === 'Error' ? 'file:error' : 'file:done', { filePath, result });
+      results.push(result);
+    }
+    return results;
+  }
+
+  const pool = new WorkerPool(concurrency, options);
+  try {
+    return await Promise.all(files.map(filePath => pool.run(filePath, () => emitFileEvent(options, 'file:start', { filePath }))
+      .then(result => applyResultHooks(filePath, result, options), workerError => {
+        const result = createResult(filePath);
+        result.status = 'Error';
+        result.error = workerError.message;
+        (options.logger || console).error(`\nError minifying ${result.filePath}:\n${workerError.message}`);
+        return result;
+      })
+      .then(result => {
+        emitFileEvent(options, result.status === 'Error' ? 'file:error' : 'file:done', { filePath, result });
+        return result;
+      })));
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Minifies a list of files. With a hashed output pattern the files are processed in phases (standalone assets,
+ * then CSS, then HTML) so that references can be rewritten to the hashed names of files from earlier phases.
+ * @param {string[]} files The absolute paths of the files to process.
+ * @param {object} options The minifier options.
+ * @returns {Promise<object[]>} The processing results, in the same order as the input files.
+ */
+async function minifyFiles(files, options) {
+  if (!isHashedOutputPattern(options.outputDir)) {
+    return runFiles(files, options);
+  }
+
+  const assetMap = {};
+  const resultsByFile = new Map();
+  for (const phase of [0, 1, 2]) {
+    const phaseFiles = files.filter(filePath => getAssetPhase(filePath, options) === phase);
+    if (phaseFiles.length === 0) continue;
+
+    const phaseOptions = { ...options, assetMap: { ...assetMap }, assetMapHash: hashContent(stableStringify(assetMap)) };
+    const phaseResults = await runFiles(phaseFiles, phaseOptions);
+    phaseResults.forEach((result, index) => {
+      resultsByFile.set(phaseFiles[index], result);
+      recordAsset(assetMap, result, options);
+    });
+  }
+  return files.map(filePath => resultsByFile.get(filePath));
+}
+
+/**
+ * Collects the files of a directory run. The caller's options are left as they are: the returned run options
+ * are a copy that adds what the scan found, the nested .minifierignore files and, with --purge-css, the used
+ * names. A watcher started with them afterwards knows both.
+ * @param {string} directory The directory to traverse.
+ * @param {object} options The minifier options.
+ * @returns {Promise<{files: string[], runOptions: object}>} The eligible files, in traversal order, and the run options.
+ */
+async function scanDirectory(directory, options) {
+  const files = [];
+  const runOptions = { ...options, nestedIgnores: [] };
+  await collectFiles(directory, runOptions, files);
+  if (runOptions.purgeCss) Object.assign(runOptions, await prepareCssPurge(directory, runOptions, files));
+  return { files, runOptions };
+}
+
+/**
+ * Traverses a directory and minifies every eligible file in it.
+ * @param {string} directory The directory to traverse.
+ * @param {object} options The minifier options.
+ * @returns {Promise<object[]>} The processing results, in traversal order.
+ */
+async function traverseAndMinifyDirectory(directory, options) {
+  const { files, runOptions } = await scanDirectory(directory, options);
+  return minifyFiles(files, runOptions);
+}
+
+/**
+ * Collects the class names, ids and tags that --purge-css keeps, from the HTML, JavaScript and SVG files
+ * of a run, to set on the run options. When there are no such files, usedNames is null and nothing is purged:
+ * every rule would look unused.
+ * @param {string} directory The directory being minified.
+ * @param {object} options The minifier options; nestedIgnores must already be loaded.
+ * @param {string[]} [files] The files of the run, if they were collected already.
+ * @returns {Promise<{usedNames: string[]|null, usedNamesHash?: string}>} The names, and a hash of them for the cache.
+ */
+async function prepareCssPurge(directory, options, files = null) {
+  // With --changed-since or --staged only some files are processed, but the CSS is used by all of them
+  let contentFiles = files;
+  if (!contentFiles || options.changedFiles) {
+    contentFiles = [];
+    await collectFiles(directory, { ...options, changedFiles: null, nestedIgnores: [...(options.nestedIgnores || [])], verbose: false }, contentFiles);
+  }
+  contentFiles = contentFiles.filter(filePath => PURGE_CONTENT_TYPES.includes(getFileType(filePath, options)));
+
+  if (contentFiles.length === 0) {
+    (options.logger || console).warn('--purge-css found no HTML or JavaScript files to collect used selectors from; no CSS is purged.');
+    return { usedNames: null };
+  }
+  const collected = await collectUsedNames(contentFiles);
+  if (options.verbose) {
+    (options.logger || console).log(`Collected ${collected.usedNames.length} used name(s) from ${contentFiles.length} file(s) for --purge-css.`);
+  }
+  return collected;
+}
+
+/**
+ * Lists what the ignore rules exclude from a directory: ignored directories (whose contents aren't listed)
+ * and ignored files that would otherwise be minified.
+ * @param {string} directory The directory to traverse.
+ * @param {object} options The minifier options.
+ * @returns {Promise<{filePath: string, isDirectory: boolean, pattern: string, source: string|null}[]>} The ignored
+ *   paths, in traversal order, with the pattern that excludes each and the ignore file it comes from.
+ */
+async function listIgnoredPaths(directory, options) {
+  const ignored = [];
+  await collectFiles(directory, { ...options, nestedIgnores: [] }, [], ignored);
+  return ignored;
+}
+
+/**
+ * Saves what a run leaves behind besides the minified files: the build cache, the backup journal of an
+ * in-place run, the --name-cache file and, with hashed outputs, the asset manifest. Nothing is saved in a dry run.
+ * @param {object[]} results The processing results.
+ * @param {object} options The minifier options.
+ * @returns {Promise<{manifestPath: string|null, backedUp: number}>} Where the asset manifest was written, if one was,
+ *   and how many originals were backed up.
+ */
+async function saveRunState(results, options) {
+  if (options.dryRun) return { manifestPath: null, backedUp: 0 };
+
+  const backedUp = options.backup ? await recordBackups(options.backup, results) : 0;
+
+  if (options.cache) {
+    updateCache(options.cache, results);
+    await saveCache(options.cache);
+  }
+
+  if (options.nameCache && options.sharedNameCache) {
+    await saveNameCache(options.nameCache, options.sharedNameCache);
+  }
+
+  let manifestPath = null;
+  if (isHashedOutputPattern(options.outputDir)) {
+    const assetMap = {};
+    results.forEach(result => recordAsset(assetMap, result, options));
+    manifestPath = await writeManifest(assetMap, options);
+  }
+  return { manifestPath, backedUp };
+}
 
 /**
  * Displays the minification results in a formatted table using console-table-printer.
  * @param {Array} results An array of results from processed files.
+ * @param {string[]} [violations] The budget violations to list below the totals.
  */
-function displayResultsTable(results) {
+function displayResultsTable(results, violations) {
   if (results.length === 0) {
     console.log('\nNo eligible files found for minification or all were ignored.');
     return;
@@ -332,15 +920,24 @@ function displayResultsTable(results) {
     return fullPath;
   };
 
+  // Compressed size columns only appear when --compress produced any
+  const showGzip = results.some(r => r.gzipSize !== null && r.gzipSize !== undefined);
+  const showBrotli = results.some(r => r.brotliSize !== null && r.brotliSize !== undefined);
+  // The budget column only appears when the results were checked against budgets
+  const showBudget = results.some(r => Array.isArray(r.budgetViolations));
+
   const p = new Table({
     columns: [
       { name: 'File', alignment: 'left', color: 'cyan', minLen: 15 },
       { name: 'Status', alignment: 'center', color: 'white', minLen: 10 },
       { name: 'Original Size', alignment: 'right', color: 'green', minLen: 10 },
       { name: 'Minified Size', alignment: 'right', color: 'green', minLen: 10 },
+      ...(showGzip ? [{ name: 'Gzip Size', alignment: 'right', color: 'green', minLen: 10 }] : []),
+      ...(showBrotli ? [{ name: 'Brotli Size', alignment: 'right', color: 'green', minLen: 10 }] : []),
       { name: 'Reduction', alignment: 'right', color: 'yellow', minLen: 12 },
       { name: 'Output File', alignment: 'left', color: 'magenta', minLen: 15 },
       { name: 'Source Map', alignment: 'center', color: 'blue', minLen: 8 },
+      ...(showBudget ? [{ name: 'Budget', alignment: 'center', color: 'red', minLen: 8 }] : []),
     ],
   });
 
@@ -355,45 +952,67 @@ function displayResultsTable(results) {
 
     let sourceMapDisplay = 'No';
     if (r.sourceMapGenerated) {
-        // Ensure sourceMapPath is added to your 'result' object in processFile for this to work best.
-        // Example: result.sourceMapPath = path.relative(process.cwd(), sourceMapActualFilePath);
         sourceMapDisplay = r.sourceMapPath ? collapsePathForDisplay(r.sourceMapPath) : 'Yes';
     }
 
+    const budgetDisplay = (result) => {
+      if (!result.budgetViolations || result.budgetViolations.length === 0) return 'OK';
+      return result.budgetViolations.length === 1 ? 'Over' : `Over (${result.budgetViolations.length})`;
+    };
+    const compressedSizeDisplay = (size) => (size === null || size === undefined ? 'N/A' : formatBytes(size));
+
     p.addRow({
       'File': fileDisplay,
       'Status': statusDisplay,
       'Original Size': originalSizeFormatted,
       'Minified Size': minifiedSizeFormatted,
+      ...(showGzip ? { 'Gzip Size': compressedSizeDisplay(r.gzipSize) } : {}),
+      ...(showBrotli ? { 'Brotli Size': compressedSizeDisplay(r.brotliSize) } : {}),
       'Reduction': reductionFormatted,
       'Output File': outputFileDisplay,
       'Source Map': sourceMapDisplay,
+      ...(showBudget ? { 'Budget': budgetDisplay(r) } : {}),
     });
   });
 
   p.printTable();
 
-  const totalOriginalSize = results.reduce((sum, r) => sum + r.originalSize, 0);
-  const totalMinifiedSize = results.reduce((sum, r) => sum + r.minifiedSize, 0);
-  const totalReduction = totalOriginalSize - totalMinifiedSize;
-  const totalReductionPercent = totalOriginalSize > 0 ? (totalReduction / totalOriginalSize * 100).toFixed(1) : 0;
+  const totals = summarizeResults(results);
+
+  let compressedTotals = '';
+  if (showGzip) {
+    compressedTotals += `, gzip: ${formatBytes(totals.gzipSize)}`;
+  }
+  if (showBrotli) {
+    compressedTotals += `, brotli: ${formatBytes(totals.brotliSize)}`;
+  }
 
   console.log('\n' + '-'.repeat(p.table.width));
-  console.log(`Total: ${formatBytes(totalOriginalSize)} -> ${formatBytes(totalMinifiedSize)} (Saved: ${formatBytes(totalReduction)}, -${totalReductionPercent}%)`);
+  console.log(`Total: ${formatBytes(totals.originalSize)} -> ${formatBytes(totals.minifiedSize)} (Saved: ${formatBytes(totals.reduction)}, -${totals.reductionPercent.toFixed(1)}%${compressedTotals})`);
+
+  if (violations && violations.length > 0) {
+    console.log(`\nBudget violations (${violations.length}):`);
+    violations.forEach(violation => console.log(`  ✖ ${violation}`));
+  }
   console.log('--- End Summary ---');
 }
 
 
 module.exports = {
-  traverseAndMinifyDirectory: async (directory, options) => {
-    // Clear the console before starting if desired, to make real-time logs more prominent
-    // console.clear(); // Uncomment this line if you want to clear the console first
-
-    const results = [];
-    await traverseAndMinifyDirectory(directory, options, results);
-    displayResultsTable(results); // The table will be displayed after all individual logs
-    return results;
-  },
+  minifyContent,
   processFile,
-  isIgnored
+  minifyFile,
+  listDirectory,
+  traverseAndMinifyDirectory,
+  scanDirectory,
+  minifyFiles,
+  prepareCssPurge,
+  saveRunState,
+  displayResultsTable,
+  isIgnored,
+  listIgnoredPaths,
+  getOutputPaths,
+  getOutputRoot,
+  formatBytes,
+  MINIFIABLE_EXTENSIONS,
 };
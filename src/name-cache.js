@@ -0,0 +1,45 @@
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./backup');
+
+/**
+ * Loads the Terser name cache of --name-cache: the mangled names of variables ("vars") and properties
+ * ("props") from earlier runs. A missing file starts an empty cache.
+ * @param {string} nameCacheFilePath The absolute path to the name cache file.
+ * @returns {Promise<object>} The name cache, which Terser fills in as files are minified.
+ * @throws {Error} If the file exists but isn't a name cache. It isn't silently replaced, since that would
+ *   give every name a new mangled name.
+ */
+async function loadNameCache(nameCacheFilePath) {
+  let content;
+  try {
+    content = await fs.readFile(nameCacheFilePath, 'utf8');
+  } catch (readError) {
+    if (readError.code === 'ENOENT') return {};
+    throw new Error(`Failed to read the name cache '${nameCacheFilePath}': ${readError.message}`);
+  }
+  let nameCache;
+  try {
+    nameCache = JSON.parse(content);
+  } catch (parseError) {
+    throw new Error(`Invalid JSON in the name cache '${nameCacheFilePath}': ${parseError.message}`);
+  }
+  if (!nameCache || typeof nameCache !== 'object' || Array.isArray(nameCache)) {
+    throw new Error(`The name cache '${nameCacheFilePath}' must contain an object.`);
+  }
+  return nameCache;
+}
+
+/**
+ * Writes the name cache back, so the next run mangles the same names the same way.
+ * @param {string} nameCacheFilePath The absolute path to the name cache file.
+ * @param {object} nameCache The name cache.
+ * @returns {Promise<void>}
+ */
+async function saveNameCache(nameCacheFilePath, nameCache) {
+  await writeFileAtomic(nameCacheFilePath, JSON.stringify(nameCache, null, 2));
+}
+
+module.exports = {
+  loadNameCache,
+  saveNameCache,
+};
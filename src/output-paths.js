@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getFileType } = require('./file-types');
+
+// Placeholders supported in a hashed output pattern, e.g. "dist/[name].[hash:8].[ext]".
+const FILENAME_PLACEHOLDER_REGEX = /\[(name|ext|hash)(?::(\d+))?\]/g;
+const DEFAULT_HASH_LENGTH = 8;
+
+/**
+ * Checks whether an --output-dir value ends in a filename pattern with [name], [ext] or [hash] placeholders.
+ * @param {string} [outputDir] The --output-dir option.
+ * @returns {boolean} True for patterns like "dist/[name].[hash:8].[ext]".
+ */
+function isHashedOutputPattern(outputDir) {
+  if (!outputDir) return false;
+  return new RegExp(FILENAME_PLACEHOLDER_REGEX.source).test(path.basename(outputDir));
+}
+
+/**
+ * Fills in a filename pattern for a file. The hash is taken from the given (minified) content.
+ * @param {string} pattern The filename pattern, e.g. "[name].[hash:8].[ext]".
+ * @param {string} fileName The original file name.
+ * @param {string} content The content to hash.
+ * @returns {string} The rendered file name.
+ */
+function renderFileName(pattern, fileName, content) {
+  const ext = path.extname(fileName);
+  const name = path.basename(fileName, ext);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+  return pattern.replace(FILENAME_PLACEHOLDER_REGEX, (match, token, length) => {
+    if (token === 'name') return name;
+    if (token === 'ext') return ext.slice(1);
+    return hash.slice(0, length ? parseInt(length, 10) : DEFAULT_HASH_LENGTH);
+  });
+}
+
+/**
+ * Works out where the source map for an output file goes and how the output refers to it.
+ * @param {string} filePath The absolute path to the input file.
+ * @param {string} outputFilePath The absolute path to the minified output.
+ * @param {object} options The minifier options (uses outputDir and sourceMapDir).
+ * @returns {{sourceMapFilePath: string, sourceMapUrl: string}} The absolute map path and its URL relative to the output.
+ */
+function getSourceMapPaths(filePath, outputFilePath, options) {
+  const dirName = path.dirname(filePath);
+  const sourceMapTargetDir = options.sourceMapDir
+    ? path.resolve(dirName, options.sourceMapDir)
+    : (options.outputDir ? path.dirname(outputFilePath) : dirName);
+
+  const sourceMapFilePath = path.join(sourceMapTargetDir, `${path.basename(outputFilePath)}.map`);
+  const sourceMapUrl = path.relative(path.dirname(outputFilePath), sourceMapFilePath).replace(/\\/g, '/');
+
+  return { sourceMapFilePath, sourceMapUrl };
+}
+
+/**
+ * Works out where the minified output and its source map go for a given input file.
+ * @param {string} filePath The absolute path to the input file.
+ * @param {object} options The minifier options (uses outputDir, sourceMapDir and basePath).
+ * @param {string} [content] The minified content; only needed to fill in [hash] in a hashed output pattern.
+ * @returns {{outputFilePath: string, sourceMapFilePath: string, sourceMapUrl: string}} Absolute output paths and the map URL relative to the output.
+ */
+function getOutputPaths(filePath, options, content = '') {
+  const ext = path.extname(filePath).toLowerCase();
+  const fileName = path.basename(filePath);
+  const fileType = getFileType(filePath, options);
+
+  let outputFilePath = filePath; // Default to original path (overwrite)
+
+  if (options.outputDir) {
+    const inputRelativePath = path.relative(options.basePath, filePath);
+    let targetFileName = fileName;
+
+    const outputDirExt = path.extname(options.outputDir);
+    const outputDirBase = path.basename(options.outputDir);
+
+    if (isHashedOutputPattern(options.outputDir)) {
+        // HTML pages are entry points that get linked to by URL, so they keep their original names.
+        const baseOutputDir = path.resolve(process.cwd(), path.dirname(options.outputDir));
+        if (fileType !== 'html') targetFileName = renderFileName(outputDirBase, fileName, content);
+        outputFilePath = path.join(baseOutputDir, path.dirname(inputRelativePath), targetFileName);
+    } else if (outputDirExt && outputDirBase.includes('*')) {
+        if (outputDirBase.startsWith('*')) {
+            const newExtension = outputDirBase.substring(outputDirBase.indexOf('.'));
+            targetFileName = path.basename(fileName, ext) + newExtension;
+        } else {
+            (options.logger || console).warn(`Complex output pattern '${options.outputDir}' might not be fully supported for renaming. Using original filename.`);
+        }
+
+        const baseOutputDir = path.resolve(process.cwd(), path.dirname(options.outputDir));
+        outputFilePath = path.join(baseOutputDir, inputRelativePath);
+        outputFilePath = path.join(path.dirname(outputFilePath), targetFileName);
+    } else {
+        outputFilePath = path.join(path.resolve(process.cwd(), options.outputDir), inputRelativePath);
+    }
+  }
+
+  return { outputFilePath, ...getSourceMapPaths(filePath, outputFilePath, options) };
+}
+
+/**
+ * Resolves the root directory that minified files are written under when --output-dir is used.
+ * @param {object} options The minifier options.
+ * @returns {string|null} The absolute output root, or null when files are minified in place.
+ */
+function getOutputRoot(options) {
+  if (!options.outputDir) return null;
+  const outputDirBase = path.basename(options.outputDir);
+  if (isHashedOutputPattern(options.outputDir) || (path.extname(options.outputDir) && outputDirBase.includes('*'))) {
+    return path.resolve(process.cwd(), path.dirname(options.outputDir));
+  }
+  return path.resolve(process.cwd(), options.outputDir);
+}
+
+module.exports = {
+  isHashedOutputPattern,
+  renderFileName,
+  getSourceMapPaths,
+  getOutputPaths,
+  getOutputRoot,
+};
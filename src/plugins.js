@@ -0,0 +1,236 @@
+const path = require('path');
+const { mergeOptionGroups } = require('./tool-options');
+
+// The hooks a plugin can implement, in the order they run for a file.
+const PLUGIN_HOOKS = ['beforeMinify', 'afterMinify', 'onResult'];
+
+// Loaded plugins, keyed by module path and options. Every worker thread loads its own copies.
+const loadedPlugins = new Map();
+
+/**
+ * Normalizes the --plugin option or the config "plugins" key. Each entry is a module name or path, or a
+ * [module, options] pair; paths are resolved like require() would from baseDir. Only the resolved paths and
+ * options are kept, so the result can be hashed and sent to worker threads, which load the plugins themselves.
+ * @param {string|Array<string|Array>} [value] The plugins.
+ * @param {string} baseDir The directory relative module paths are resolved from (the config file's or the cwd).
+ * @returns {Array<{module: string, options: object}>} The plugin specs.
+ * @throws {Error} If a plugin can't be found or an entry is malformed.
+ */
+function normalizePluginSpecs(value, baseDir) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map((entry) => {
+    if (entry && typeof entry === 'object' && typeof entry.module === 'string' && path.isAbsolute(entry.module)) {
+      return { module: entry.module, options: entry.options || {} }; // Already normalized
+    }
+    const [name, options = {}] = Array.isArray(entry) ? entry : [entry];
+    if (typeof name !== 'string' || !name || typeof options !== 'object' || options === null) {
+      throw new Error(`Invalid plugin entry ${JSON.stringify(entry)}. Use a module name or path, or [module, options].`);
+    }
+    try {
+      return { module: require.resolve(name, { paths: [baseDir] }), options };
+    } catch (resolveError) {
+      throw new Error(`Cannot find plugin '${name}' (from ${baseDir}).`);
+    }
+  });
+}
+
+/**
+ * Checks the shape of a plugin object.
+ * @param {object} plugin The plugin.
+ * @param {string} module The module it was loaded from, for error messages.
+ * @throws {Error} If a field has the wrong type.
+ */
+function validatePlugin(plugin, module) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Plugin '${module}' must export an object, or a function returning one.`);
+  }
+  for (const hook of PLUGIN_HOOKS) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+      throw new Error(`Plugin '${plugin.name}': ${hook} must be a function.`);
+    }
+  }
+  if (plugin.minifiers !== undefined) {
+    if (typeof plugin.minifiers !== 'object' || plugin.minifiers === null) {
+      throw new Error(`Plugin '${plugin.name}': minifiers must map extensions to functions, e.g. { '.vue': minifyVue }.`);
+    }
+    for (const [extension, minify] of Object.entries(plugin.minifiers)) {
+      if (typeof minify !== 'function') {
+        throw new Error(`Plugin '${plugin.name}': the minifier for '${extension}' must be a function.`);
+      }
+    }
+  }
+  if (plugin.postcssPlugins !== undefined && !Array.isArray(plugin.postcssPlugins) && typeof plugin.postcssPlugins !== 'function') {
+    throw new Error(`Plugin '${plugin.name}': postcssPlugins must be an array, or a function returning one.`);
+  }
+  if (plugin.terserOptions !== undefined && (typeof plugin.terserOptions !== 'object' || plugin.terserOptions === null) && typeof plugin.terserOptions !== 'function') {
+    throw new Error(`Plugin '${plugin.name}': terserOptions must be an object, or a function returning one.`);
+  }
+}
+
+/**
+ * Loads the plugins of a run. A plugin module exports the plugin object, or a function that takes the
+ * plugin's options and returns it. A plugin object may have:
+ *  - name: used in log and error messages (defaults to the module's file name);
+ *  - minifiers: { '.ext': (content, context) => code or { code, map } }, minifying files with that extension
+ *    (a built-in extension such as '.js' replaces the built-in minifier);
+ *  - postcssPlugins: PostCSS plugins to run on CSS before cssnano, or a function (context) returning them;
+ *  - terserOptions: Terser options merged over the defaults, or a function (context) returning them;
+ *  - beforeMinify(content, context) and afterMinify(code, context): return new content to replace it;
+ *  - onResult(result, context): called with each file's result, which it may change.
+ * @param {Array<{module: string, options: object}>} [specs] The plugin specs from normalizePluginSpecs.
+ * @returns {object[]} The plugins, in order.
+ * @throws {Error} If a plugin fails to load or is malformed.
+ */
+function loadPlugins(specs) {
+  if (!specs || specs.length === 0) return [];
+  return specs.map(({ module, options }) => {
+    const key = `${module}\0${JSON.stringify(options)}`;
+    if (loadedPlugins.has(key)) return loadedPlugins.get(key);
+
+    let plugin;
+    try {
+      const exported = require(module);
+      plugin = typeof exported === 'function' ? exported(options) : exported;
+    } catch (loadError) {
+      throw new Error(`Failed to load plugin '${module}': ${loadError.message}`);
+    }
+    plugin = plugin && typeof plugin === 'object' ? { ...plugin, name: plugin.name || path.basename(module, path.extname(module)) } : plugin;
+    validatePlugin(plugin, module);
+    loadedPlugins.set(key, plugin);
+    return plugin;
+  });
+}
+
+/**
+ * Maps the extensions plugins register minifiers for to their file type: the extension without its dot.
+ * @param {object[]} plugins The loaded plugins.
+ * @returns {object} Extension -> type, e.g. { ".vue": "vue" }, to merge into options.extensions.
+ */
+function getPluginExtensions(plugins) {
+  const extensions = {};
+  for (const plugin of plugins) {
+    for (const extension of Object.keys(plugin.minifiers || {})) {
+      const normalized = extension.trim().toLowerCase().replace(/^\.?/, '.');
+      extensions[normalized] = normalized.slice(1);
+    }
+  }
+  return extensions;
+}
+
+/**
+ * Finds the plugin minifier for a file type; the last plugin that registers one wins.
+ * @param {object[]} plugins The loaded plugins.
+ * @param {string} type The file type.
+ * @returns {{plugin: object, minify: function}|null} The minifier and its plugin, or null to use the built-in one.
+ */
+function findPluginMinifier(plugins, type) {
+  let found = null;
+  for (const plugin of plugins) {
+    for (const [extension, minify] of Object.entries(plugin.minifiers || {})) {
+      if (extension.trim().toLowerCase().replace(/^\./, '') === type) found = { plugin, minify };
+    }
+  }
+  return found;
+}
+
+/**
+ * Runs one plugin function, naming the plugin in any error it throws.
+ * @param {object} plugin The plugin.
+ * @param {string} label What is being run, e.g. 'beforeMinify'.
+ * @param {function(): *} run Calls the plugin function.
+ * @returns {Promise<*>} What the function returned.
+ * @throws {Error} If the function throws.
+ */
+async function callPlugin(plugin, label, run) {
+  try {
+    return await run();
+  } catch (pluginError) {
+    throw new Error(`Plugin '${plugin.name}' failed in ${label}: ${pluginError.message}`);
+  }
+}
+
+/**
+ * Runs the beforeMinify or afterMinify hooks of every plugin in order, each on the previous one's output.
+ * @param {object[]} plugins The loaded plugins.
+ * @param {string} hook 'beforeMinify' or 'afterMinify'.
+ * @param {string} content The content.
+ * @param {object} context The file context ({ filePath, outputFilePath, type, options }).
+ * @returns {Promise<string>} The transformed content.
+ * @throws {Error} If a hook throws or returns something other than a string.
+ */
+async function runContentHooks(plugins, hook, content, context) {
+  let current = content;
+  for (const plugin of plugins) {
+    if (!plugin[hook]) continue;
+    const returned = await callPlugin(plugin, hook, () => plugin[hook](current, context));
+    if (returned === undefined || returned === null) continue;
+    if (typeof returned !== 'string') {
+      throw new Error(`Plugin '${plugin.name}' failed in ${hook}: it must return a string (or nothing to keep the content).`);
+    }
+    current = returned;
+  }
+  return current;
+}
+
+/**
+ * Collects the PostCSS plugins that plugins add for a file.
+ * @param {object[]} plugins The loaded plugins.
+ * @param {object} context The file context.
+ * @returns {Promise<object[]>} The PostCSS plugins, in plugin order.
+ */
+async function getPostcssPlugins(plugins, context) {
+  const postcssPlugins = [];
+  for (const plugin of plugins) {
+    if (!plugin.postcssPlugins) continue;
+    const added = typeof plugin.postcssPlugins === 'function'
+      ? await callPlugin(plugin, 'postcssPlugins', () => plugin.postcssPlugins(context))
+      : plugin.postcssPlugins;
+    postcssPlugins.push(...(added || []));
+  }
+  return postcssPlugins;
+}
+
+/**
+ * Merges the Terser options of plugins over the built-in ones, group by group (see mergeOptionGroups), so a
+ * plugin can add e.g. compress.global_defs without losing drop_console.
+ * @param {object[]} plugins The loaded plugins.
+ * @param {object} terserOptions The built-in Terser options.
+ * @param {object} context The file context.
+ * @returns {Promise<object>} The merged options.
+ */
+async function mergeTerserOptions(plugins, terserOptions, context) {
+  let merged = terserOptions;
+  for (const plugin of plugins) {
+    if (!plugin.terserOptions) continue;
+    const added = typeof plugin.terserOptions === 'function'
+      ? await callPlugin(plugin, 'terserOptions', () => plugin.terserOptions(context))
+      : plugin.terserOptions;
+    merged = mergeOptionGroups(merged, added);
+  }
+  return merged;
+}
+
+/**
+ * Runs the onResult hooks of every plugin on a file's result.
+ * @param {object[]} plugins The loaded plugins.
+ * @param {object} result The result, which hooks may change.
+ * @param {object} context The file context.
+ * @returns {Promise<void>}
+ * @throws {Error} If a hook throws.
+ */
+async function runResultHooks(plugins, result, context) {
+  for (const plugin of plugins) {
+    if (plugin.onResult) await callPlugin(plugin, 'onResult', () => plugin.onResult(result, context));
+  }
+}
+
+module.exports = {
+  normalizePluginSpecs,
+  loadPlugins,
+  getPluginExtensions,
+  findPluginMinifier,
+  runContentHooks,
+  getPostcssPlugins,
+  mergeTerserOptions,
+  runResultHooks,
+};
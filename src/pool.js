@@ -0,0 +1,149 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+/**
+ * Strips values that cannot be sent to a worker (functions, a custom logger, an event emitter) or that only
+ * matter while collecting files (the set of changed files).
+ * @param {object} options The minifier options.
+ * @returns {object} A copy of the options safe for structured cloning.
+ */
+function toWorkerOptions(options) {
+  const { logger, events, changedFiles, ...rest } = options;
+  return Object.fromEntries(Object.entries(rest).filter(([, value]) => typeof value !== 'function'));
+}
+
+/**
+ * Tells whether the options can be sent to worker threads. Nested functions, e.g. a Terser format.comments
+ * callback from a minifier.config.js, can't be, so files are then processed on the main thread.
+ * @param {object} options The minifier options.
+ * @returns {boolean} True if the options survive structured cloning.
+ */
+function canUseWorkers(options) {
+  try {
+    structuredClone(toWorkerOptions(options));
+    return true;
+  } catch (cloneError) {
+    return false;
+  }
+}
+
+/**
+ * A fixed-size pool of worker_threads that list directories (listDirectory) and run minifyFile.
+ * Each worker buffers its log output per task and the pool replays it in one go when the task is done,
+ * so lines from different workers never interleave.
+ */
+class WorkerPool {
+  /**
+   * @param {number} size The maximum number of workers.
+   * @param {object} options The minifier options shared by every task.
+   */
+  constructor(size, options) {
+    this.size = size;
+    this.logger = options.logger || console;
+    this.workerOptions = toWorkerOptions(options);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Queues a file for processing.
+   * @param {string} filePath The absolute path to the file.
+   * @param {function(): void} [onStart] Called when a worker picks the file up.
+   * @returns {Promise<object>} Resolves with the minifyFile result.
+   */
+  run(filePath, onStart) {
+    return this._enqueue({ filePath }, onStart);
+  }
+
+  /**
+   * Queues a directory to be listed.
+   * @param {string} directory The absolute path to the directory.
+   * @param {object[]} nestedIgnores The ignore files of its parent directories.
+   * @param {boolean} matchFiles Whether to check its files against the ignore rules too.
+   * @returns {Promise<object|null>} Resolves with the listDirectory listing.
+   */
+  listDirectory(directory, nestedIgnores, matchFiles) {
+    return this._enqueue({ directory, nestedIgnores, matchFiles });
+  }
+
+  /**
+   * Terminates all workers.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  _enqueue(message, onStart) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, onStart, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) return;
+        worker = this._spawn();
+      }
+      const task = this.queue.shift();
+      worker.currentTask = task;
+      if (task.onStart) task.onStart();
+      worker.postMessage(task.message);
+    }
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_SCRIPT, { workerData: { options: this.workerOptions } });
+    worker.currentTask = null;
+
+    worker.on('message', ({ result, error, logs }) => {
+      for (const { level, args } of logs) {
+        this.logger[level](...args);
+      }
+      const task = worker.currentTask;
+      worker.currentTask = null;
+      this.idle.push(worker);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      this._dispatch();
+    });
+
+    worker.on('error', (workerError) => {
+      this._remove(worker);
+      if (worker.currentTask) worker.currentTask.reject(workerError);
+      this._dispatch();
+    });
+
+    worker.on('exit', (code) => {
+      if (!this.workers.includes(worker)) return;
+      this._remove(worker);
+      if (worker.currentTask) worker.currentTask.reject(new Error(`Worker stopped with exit code ${code}`));
+      this._dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  _remove(worker) {
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  canUseWorkers,
+};
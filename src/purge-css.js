@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const { minimatch } = require('minimatch');
+const { hashContent } = require('./cache');
+
+// The file types scanned for class names, ids and tags that CSS rules may target.
+const PURGE_CONTENT_TYPES = ['html', 'js', 'mjs', 'cjs', 'svg'];
+
+// Elements the HTML parser adds to every page (or table) when the markup leaves them out, so their tags are
+// always in use.
+const IMPLIED_ELEMENTS = new Set(['html', 'head', 'body', 'tbody', 'colgroup']);
+
+/**
+ * Extracts every word that could be a class name, id or tag from HTML or JavaScript. This is deliberately
+ * broad (every token counts, not just class attributes), so names built in scripts or templates are kept:
+ * both whole tokens such as "md:flex" or "w-1/2" and their word-like parts are returned.
+ * @param {string} content The file content.
+ * @returns {Set<string>} The candidate names.
+ */
+function extractUsedNames(content) {
+  const names = new Set();
+  for (const token of content.match(/[^<>"'`\s=]*[^<>"'`\s=:]/g) || []) {
+    names.add(token);
+    for (const part of token.split(/[^\w-]+/)) {
+      if (part) names.add(part).add(part.toLowerCase());
+    }
+  }
+  return names;
+}
+
+/**
+ * Reads the content files of a run and collects the names they use.
+ * @param {string[]} filePaths The absolute paths to HTML and JavaScript files.
+ * @returns {Promise<{usedNames: string[], usedNamesHash: string}>} The names, sorted, and a hash of them for the cache.
+ */
+async function collectUsedNames(filePaths) {
+  const names = new Set();
+  for (const filePath of filePaths) {
+    try {
+      extractUsedNames(await fs.readFile(filePath, 'utf8')).forEach(name => names.add(name));
+    } catch (readError) {
+      // A file that can't be read is reported when it is processed.
+    }
+  }
+  const usedNames = [...names].sort();
+  return { usedNames, usedNamesHash: hashContent(usedNames.join('\n')) };
+}
+
+/**
+ * Parses the --purge-safelist option or the config "purgeSafelist" key: names or globs of class names, ids and
+ * tags to always keep (e.g. "active", "js-*"), or regular expressions written as /pattern/flags.
+ * @param {string|string[]} [value] Comma-separated patterns, or an array of them.
+ * @returns {string[]} The patterns.
+ * @throws {Error} If a regular expression is invalid.
+ */
+function parseSafelist(value) {
+  if (!value) return [];
+  const patterns = (Array.isArray(value) ? value : String(value).split(','))
+    .map(pattern => String(pattern).trim())
+    .filter(Boolean);
+  patterns.forEach(toNameMatcher);
+  return patterns;
+}
+
+/**
+ * Compiles a safelist pattern.
+ * @param {string} pattern A name, a glob or a /regular expression/.
+ * @returns {function(string): boolean} Tests a class name, id or tag.
+ * @throws {Error} If a regular expression is invalid.
+ */
+function toNameMatcher(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      return name => regex.test(name);
+    } catch (regexError) {
+      throw new Error(`Invalid safelist pattern '${pattern}': ${regexError.message}`);
+    }
+  }
+  return name => minimatch(name, pattern, { dot: true });
+}
+
+/**
+ * Unescapes a CSS identifier, e.g. "md\:flex" -> "md:flex", "\31 0" -> "10".
+ * @param {string} identifier The escaped identifier.
+ * @returns {string} The identifier as it appears in HTML.
+ */
+function unescapeCssIdentifier(identifier) {
+  return identifier.replace(/\\([0-9a-fA-F]{1,6})\s?|\\(.)/g, (match, hex, character) => (
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : character
+  ));
+}
+
+/**
+ * Removes the parts of a selector that don't have to be present in the page for it to match:
+ * the arguments of functional pseudo-classes (:not(), :is(), ...) and attribute selectors.
+ * @param {string} selector The selector.
+ * @returns {string} The selector without those parts.
+ */
+function stripOptionalParts(selector) {
+  let stripped = selector.replace(/\[(?:[^\]"']|"[^"]*"|'[^']*')*\]/g, '');
+  // The arguments of :not(), :is(), :where(), :has() ... may be absent or alternatives, so they never count
+  const functionalPseudo = /::?[\w-]+\(/g;
+  let match;
+  while ((match = functionalPseudo.exec(stripped))) {
+    let depth = 1;
+    let end = match.index + match[0].length;
+    while (end < stripped.length && depth > 0) {
+      if (stripped[end] === '\\') end++;
+      else if (stripped[end] === '(') depth++;
+      else if (stripped[end] === ')') depth--;
+      end++;
+    }
+    stripped = stripped.slice(0, match.index) + stripped.slice(end);
+    functionalPseudo.lastIndex = match.index;
+  }
+  return stripped.replace(/::?[\w-]+/g, '');
+}
+
+/**
+ * Lists the class names, ids and tags a selector needs to find in the page. Tags of elements the parser
+ * adds itself (html, head, body, tbody, colgroup) are left out.
+ * @param {string} selector A single selector (no commas).
+ * @returns {string[]} The names, unescaped.
+ */
+function getRequiredNames(selector) {
+  const stripped = stripOptionalParts(selector);
+  const names = [];
+  for (const [, identifier] of stripped.matchAll(/[.#]((?:\\[0-9a-fA-F]{1,6}\s?|\\.|[\w-]|[^\x00-\x7F])+)/g)) {
+    names.push(unescapeCssIdentifier(identifier));
+  }
+  for (const [, , tag] of stripped.matchAll(/(^|[\s>+~])([a-zA-Z][\w-]*)/g)) {
+    if (!IMPLIED_ELEMENTS.has(tag.toLowerCase())) names.push(tag.toLowerCase());
+  }
+  return names;
+}
+
+/**
+ * A PostCSS plugin that drops the selectors (and rules left without selectors) whose class names, ids or tags
+ * appear in none of the run's content files. Keyframe steps and at-rules other than their nested rules are
+ * left alone.
+ * @param {object} settings The purge settings.
+ * @param {string[]} settings.usedNames The names found in the content files.
+ * @param {string[]} [settings.safelist] Names, globs and /regular expressions/ to always keep.
+ * @param {string[]} removed Receives the removed selectors.
+ * @returns {object} The PostCSS plugin.
+ */
+function purgeCssPlugin({ usedNames, safelist = [] }, removed) {
+  const used = new Set(usedNames);
+  const safelistMatchers = safelist.map(toNameMatcher);
+  const isUsed = (name) => used.has(name) || used.has(name.toLowerCase()) || safelistMatchers.some(matches => matches(name));
+
+  return {
+    postcssPlugin: 'minifier-purge-css',
+    Once(root) {
+      root.walkRules(rule => {
+        if (rule.parent && rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+        const kept = rule.selectors.filter(selector => {
+          const keep = getRequiredNames(selector).every(isUsed);
+          if (!keep) removed.push(selector.trim());
+          return keep;
+        });
+        if (kept.length === 0) {
+          rule.remove();
+        } else if (kept.length < rule.selectors.length) {
+          rule.selectors = kept;
+        }
+      });
+    },
+  };
+}
+
+module.exports = {
+  PURGE_CONTENT_TYPES,
+  extractUsedNames,
+  collectUsedNames,
+  parseSafelist,
+  purgeCssPlugin,
+};
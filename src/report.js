@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatBytes } = require('./format');
+const pkgVersion = require('../package.json').version;
+
+const REPORT_FORMATS = ['json', 'markdown', 'junit'];
+
+// Report file extensions that imply a format when --report-file is given without --report.
+const REPORT_EXTENSIONS = { '.json': 'json', '.md': 'markdown', '.markdown': 'markdown', '.xml': 'junit' };
+
+// Result fields that are bookkeeping for the run rather than part of the report.
+const INTERNAL_RESULT_FIELDS = ['cacheEntry'];
+
+/**
+ * Works out the report format from --report, falling back to the --report-file extension.
+ * @param {string} [format] The --report option.
+ * @param {string} [reportFile] The --report-file option.
+ * @returns {string|null} The report format, or null if no report was asked for.
+ * @throws {Error} If the format is unknown or can't be inferred.
+ */
+function resolveReportFormat(format, reportFile) {
+  if (format) {
+    const normalized = format.toLowerCase() === 'md' ? 'markdown' : format.toLowerCase();
+    if (!REPORT_FORMATS.includes(normalized)) {
+      throw new Error(`Unsupported report format '${format}'. Use ${REPORT_FORMATS.join(', ')}.`);
+    }
+    return normalized;
+  }
+  if (!reportFile) return null;
+  const inferred = REPORT_EXTENSIONS[path.extname(reportFile).toLowerCase()];
+  if (!inferred) {
+    throw new Error(`Cannot infer the report format from '${reportFile}'. Pass --report ${REPORT_FORMATS.join('|')}.`);
+  }
+  return inferred;
+}
+
+/**
+ * Adds up the sizes and status counts of a run.
+ * @param {object[]} results The processFile results.
+ * @returns {object} The totals.
+ */
+function summarizeResults(results) {
+  const sumOf = (key) => results.reduce((sum, r) => sum + (r[key] || 0), 0);
+  const countOf = (...statuses) => results.filter(r => statuses.includes(r.status)).length;
+  const hasSize = (key) => results.some(r => r[key] !== null && r[key] !== undefined);
+
+  const originalSize = sumOf('originalSize');
+  const minifiedSize = sumOf('minifiedSize');
+  const reduction = originalSize - minifiedSize;
+
+  return {
+    files: results.length,
+    minified: countOf('Minified', '[DRY RUN] Minified'),
+    cached: countOf('Cached'),
+    unchanged: countOf('No Change'),
+    alreadyMinified: countOf('Already Minified'),
+    skipped: countOf('Skipped'),
+    errors: countOf('Error'),
+    overBudget: results.filter(r => r.budgetViolations && r.budgetViolations.length > 0).length,
+    originalSize,
+    minifiedSize,
+    reduction,
+    reductionPercent: originalSize > 0 ? (reduction / originalSize * 100) : 0,
+    gzipSize: hasSize('gzipSize') ? sumOf('gzipSize') : null,
+    brotliSize: hasSize('brotliSize') ? sumOf('brotliSize') : null,
+  };
+}
+
+/**
+ * Copies a result without the fields that only matter inside a run.
+ * @param {object} result The processFile result.
+ * @returns {object} The result as it appears in a report.
+ */
+function toReportResult(result) {
+  return Object.fromEntries(Object.entries(result).filter(([key]) => !INTERNAL_RESULT_FIELDS.includes(key)));
+}
+
+/**
+ * Checks whether a result counts as a failure: an error or a budget violation.
+ * @param {object} result The processFile result.
+ * @returns {boolean} True if the file failed.
+ */
+function isFailedResult(result) {
+  return result.status === 'Error' || Boolean(result.budgetViolations && result.budgetViolations.length > 0);
+}
+
+/**
+ * Renders a JSON report.
+ * @param {object[]} results The processFile results.
+ * @returns {string} The report.
+ */
+function formatJsonReport(results) {
+  return JSON.stringify({
+    tool: 'minifier',
+    version: pkgVersion,
+    generatedAt: new Date().toISOString(),
+    totals: summarizeResults(results),
+    results: results.map(toReportResult),
+  }, null, 2) + '\n';
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell.
+ * @param {*} value The cell value.
+ * @returns {string} The escaped text.
+ */
+function markdownCell(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders a Markdown report, suitable for posting as a pull request comment.
+ * @param {object[]} results The processFile results.
+ * @returns {string} The report.
+ */
+function formatMarkdownReport(results) {
+  const totals = summarizeResults(results);
+  const showGzip = totals.gzipSize !== null;
+  const showBrotli = totals.brotliSize !== null;
+  const compressedSize = (size) => (size === null || size === undefined ? 'N/A' : formatBytes(size));
+  const failed = results.filter(isFailedResult);
+
+  const lines = [
+    `## ${failed.length > 0 ? '❌' : '✅'} Minification Report`,
+    '',
+    `**${totals.files}** file(s): ${totals.minified} minified, ${totals.cached} cached, ${totals.unchanged} unchanged, ${totals.alreadyMinified} already minified, ${totals.skipped} skipped, ${totals.errors} error(s), ${totals.overBudget} over budget.`,
+    '',
+    `**Total:** ${formatBytes(totals.originalSize)} → ${formatBytes(totals.minifiedSize)} (saved ${formatBytes(totals.reduction)}, -${totals.reductionPercent.toFixed(1)}%)`
+      + (showGzip ? `, gzip ${formatBytes(totals.gzipSize)}` : '')
+      + (showBrotli ? `, brotli ${formatBytes(totals.brotliSize)}` : ''),
+    '',
+  ];
+
+  if (results.length > 0) {
+    const headers = ['File', 'Status', 'Original', 'Minified', ...(showGzip ? ['Gzip'] : []), ...(showBrotli ? ['Brotli'] : []), 'Reduction', 'Output', 'Source Map'];
+    lines.push(`| ${headers.join(' | ')} |`);
+    lines.push(`|${headers.map((header, index) => (index >= 2 && index < headers.length - 2 ? '---:' : '---')).join('|')}|`);
+    for (const r of results) {
+      const cells = [
+        `\`${r.filePath}\``,
+        isFailedResult(r) ? `❌ ${r.status}` : r.status,
+        formatBytes(r.originalSize),
+        formatBytes(r.minifiedSize),
+        ...(showGzip ? [compressedSize(r.gzipSize)] : []),
+        ...(showBrotli ? [compressedSize(r.brotliSize)] : []),
+        r.reductionPercent > 0 ? `-${r.reductionPercent.toFixed(1)}%` : 'N/A',
+        r.outputFilePath ? `\`${r.outputFilePath}\`` : 'N/A',
+        r.sourceMapPath ? `\`${r.sourceMapPath}\`` : (r.sourceMapGenerated ? 'Yes' : 'No'),
+      ];
+      lines.push(`| ${cells.map(markdownCell).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  const purged = results.filter(r => r.purgedSelectors && r.purgedSelectors.length > 0);
+  if (purged.length > 0) {
+    lines.push('### Removed CSS selectors', '');
+    for (const r of purged) {
+      lines.push(`<details><summary><code>${r.filePath}</code>: ${r.purgedSelectors.length} selector(s)</summary>`, '');
+      lines.push(...r.purgedSelectors.map(selector => `- \`${selector}\``), '', '</details>', '');
+    }
+  }
+
+  if (failed.length > 0) {
+    lines.push('### Failures', '');
+    for (const r of failed) {
+      const reasons = [...(r.error ? [r.error.split('\n')[0]] : []), ...(r.budgetViolations || [])];
+      lines.push(`- \`${r.filePath}\`: ${reasons.join('; ')}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text for use in an XML attribute or text node.
+ * @param {*} value The value.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders a JUnit XML report: one test case per file, with errored or over-budget files as failures
+ * and skipped files as skipped tests.
+ * @param {object[]} results The processFile results.
+ * @returns {string} The report.
+ */
+function formatJunitReport(results) {
+  const totals = summarizeResults(results);
+  const failures = results.filter(isFailedResult).length;
+
+  const testCases = results.map(r => {
+    const attributes = `classname="minifier" name="${escapeXml(r.filePath)}"`;
+    const sizes = `${r.status}: ${formatBytes(r.originalSize)} -> ${formatBytes(r.minifiedSize)}`
+      + (r.outputFilePath ? ` (${r.outputFilePath})` : '');
+
+    let body;
+    if (r.status === 'Error') {
+      body = `      <failure type="error" message="${escapeXml(r.error ? r.error.split('\n')[0] : 'Error')}">${escapeXml(r.error || '')}</failure>\n`;
+    } else if (r.budgetViolations && r.budgetViolations.length > 0) {
+      body = `      <failure type="budget" message="${escapeXml(r.budgetViolations[0])}">${escapeXml(r.budgetViolations.join('\n'))}</failure>\n`;
+    } else if (r.status === 'Skipped') {
+      body = '      <skipped/>\n';
+    } else if (r.status === 'Already Minified') {
+      body = `      <skipped message="${escapeXml(`already minified: ${r.skipReason}`)}"/>\n`;
+    } else {
+      body = '';
+    }
+    return `    <testcase ${attributes}>\n${body}      <system-out>${escapeXml(sizes)}</system-out>\n    </testcase>`;
+  });
+
+  const suiteAttributes = `name="minifier" tests="${results.length}" failures="${failures}" errors="0" skipped="${totals.skipped + totals.alreadyMinified}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${suiteAttributes}>`,
+    `  <testsuite ${suiteAttributes} timestamp="${new Date().toISOString()}">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders a report of a run in the given format.
+ * @param {object[]} results The processFile results.
+ * @param {string} format 'json', 'markdown' or 'junit'.
+ * @returns {string} The report.
+ */
+function formatReport(results, format) {
+  if (format === 'json') return formatJsonReport(results);
+  if (format === 'markdown') return formatMarkdownReport(results);
+  return formatJunitReport(results);
+}
+
+/**
+ * Writes a report to a file, creating its directory if needed.
+ * @param {string} reportFilePath The absolute path to write to.
+ * @param {string} report The rendered report.
+ * @returns {Promise<void>}
+ */
+async function writeReport(reportFilePath, report) {
+  await fs.mkdir(path.dirname(reportFilePath), { recursive: true });
+  await fs.writeFile(reportFilePath, report, 'utf8');
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  resolveReportFormat,
+  summarizeResults,
+  formatReport,
+  writeReport,
+};
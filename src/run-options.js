@@ -0,0 +1,184 @@
+const path = require('path');
+const { loadIgnoreFile } = require('./ignore');
+const { DEFAULT_CACHE_FILE, loadCache } = require('./cache');
+const { parseCompressFormats, resolveLevel } = require('./compress');
+const { parseExtensions } = require('./file-types');
+const { normalizeBudgets, getMeasuredFormats } = require('./budgets');
+const { getChangedFiles, getGitIgnoredPatterns } = require('./git');
+const { parseSafelist } = require('./purge-css');
+const { normalizePluginSpecs, loadPlugins, getPluginExtensions } = require('./plugins');
+const { parseTargets } = require('./targets');
+const { parseManglePropsRegex } = require('./tool-options');
+const { loadNameCache } = require('./name-cache');
+
+/**
+ * Parses and validates the options of a run, the same way for the CLI and the library. Options that are
+ * already parsed are left as they are, so resolving twice is harmless.
+ * Config plugins and budgets are resolved from the config file's directory, --plugin and --budget ones (and
+ * those passed to the library) from the current directory.
+ * @param {object} options The merged CLI and config options, or the options passed to the library.
+ * @returns {object} A copy of the options, parsed.
+ * @throws {Error} If an option is invalid or a plugin can't be loaded.
+ */
+function resolveOptions(options) {
+  const resolved = { ...options };
+
+  if (resolved.concurrency !== undefined && !(Number.isInteger(resolved.concurrency) && resolved.concurrency > 0)) {
+    throw new Error('--concurrency must be a positive integer.');
+  }
+  if (resolved.inlineSourceMap) resolved.sourceMap = true;
+
+  const plugins = normalizePluginSpecs([].concat(resolved.plugins || [], resolved.plugin || []), process.cwd());
+  delete resolved.plugin;
+  delete resolved.plugins;
+  // Loaded here too, so a broken plugin stops the run before any file is touched
+  const pluginExtensions = plugins.length > 0 ? getPluginExtensions(loadPlugins(plugins)) : {};
+  if (plugins.length > 0) resolved.plugins = plugins;
+  resolved.extensions = { ...pluginExtensions, ...parseExtensions(resolved.extensions) };
+
+  resolved.targets = parseTargets(resolved.targets);
+  resolved.manglePropsRegex = parseManglePropsRegex(resolved.manglePropsRegex);
+  if (typeof resolved.manglePropsReserved === 'string') {
+    resolved.manglePropsReserved = resolved.manglePropsReserved.split(',');
+  }
+  if (resolved.mangleProps && resolved.mangle === false) {
+    throw new Error('--mangle-props needs name mangling; it can\'t be combined with --no-mangle.');
+  }
+  if (resolved.nameCache) resolved.nameCache = path.resolve(process.cwd(), resolved.nameCache);
+  resolved.purgeSafelist = parseSafelist(resolved.purgeSafelist);
+
+  resolved.compress = parseCompressFormats(resolved.compress);
+  for (const format of resolved.compress) {
+    resolved[`${format}Level`] = resolveLevel(format, resolved[`${format}Level`]);
+  }
+
+  resolved.budgets = [
+    ...normalizeBudgets(resolved.budgets, resolved.configDir || process.cwd()),
+    ...normalizeBudgets(resolved.budget, process.cwd()),
+  ];
+  delete resolved.budget;
+  if (resolved.minReduction !== undefined && resolved.minReduction !== null
+    && !(Number.isFinite(resolved.minReduction) && resolved.minReduction >= 0 && resolved.minReduction <= 100)) {
+    throw new Error('--min-reduction must be a percentage between 0 and 100.');
+  }
+  const measureSizes = getMeasuredFormats(resolved.budgets);
+  if (measureSizes.length > 0) resolved.measureSizes = measureSizes;
+
+  if (Array.isArray(resolved.overrides)) {
+    resolved.overrides = resolved.overrides.map((override, index) => ({
+      ...override,
+      options: resolveOverrideOptions(override.options || {}, resolved, index),
+    }));
+  }
+
+  return resolved;
+}
+
+/**
+ * Parses the options of one per-glob override with the same parsers as the top-level options. Only the keys
+ * the override sets are touched, so the others keep their top-level values.
+ * @param {object} options The override's options.
+ * @param {object} resolved The resolved top-level options.
+ * @param {number} index The override's position, for error messages.
+ * @returns {object} A copy of the override's options, parsed.
+ * @throws {Error} If an option is invalid or can only be set for the whole run.
+ */
+function resolveOverrideOptions(options, resolved, index) {
+  const parsed = { ...options };
+  const has = key => Object.prototype.hasOwnProperty.call(parsed, key);
+
+  try {
+    // The files of a run are picked before any override applies
+    if (has('extensions')) throw new Error('"extensions" can only be set at the top level.');
+
+    if (has('targets')) parsed.targets = parseTargets(parsed.targets);
+    if (has('manglePropsRegex')) parsed.manglePropsRegex = parseManglePropsRegex(parsed.manglePropsRegex);
+    if (typeof parsed.manglePropsReserved === 'string') parsed.manglePropsReserved = parsed.manglePropsReserved.split(',');
+    if (has('purgeSafelist')) parsed.purgeSafelist = parseSafelist(parsed.purgeSafelist);
+
+    if (has('compress')) parsed.compress = parseCompressFormats(parsed.compress);
+    for (const format of parsed.compress || resolved.compress) {
+      const levelKey = `${format}Level`;
+      if (has(levelKey) || resolved[levelKey] === undefined) parsed[levelKey] = resolveLevel(format, parsed[levelKey]);
+    }
+  } catch (overrideError) {
+    throw new Error(`overrides[${index}]: ${overrideError.message}`);
+  }
+  return parsed;
+}
+
+/**
+ * Prepares a run over a directory (or the directory of a single file): loads its ignore file, the paths git
+ * ignores or reports as changed, the name cache and the build cache.
+ * @param {string} basePath The absolute path to the directory being minified; ignore patterns are relative to it.
+ * @param {object} options The options from resolveOptions.
+ * @param {object} logger Where to log (log, warn, error).
+ * @param {string} [targetPath] The absolute path to the target, if it is a single file.
+ * @returns {Promise<{runOptions: object, ignoreFilePatterns: string[]}>} The minifier options of the run, and the
+ *   patterns of the target's own ignore file.
+ * @throws {Error} If a git ref can't be resolved or the name cache is invalid.
+ */
+async function prepareRun(basePath, options, logger, targetPath = basePath) {
+  const ignoreFilePath = options.ignorePath
+    ? path.resolve(process.cwd(), options.ignorePath)
+    : path.join(basePath, '.minifierignore');
+  if (options.verbose) logger.log(`Searching for ignore file at: ${ignoreFilePath}`);
+  const ignoreFilePatterns = await loadIgnoreFile(ignoreFilePath, logger);
+
+  const runOptions = {
+    ...options,
+    basePath,
+    logger,
+    ignoreFilePath,
+    ignorePatterns: ignoreFilePatterns.concat(options.ignore || []),
+    changedFiles: null,
+    // The CLI starts a backup run once it knows the run overwrites sources; the library never does
+    backup: null,
+  };
+
+  if (options.respectGitignore) {
+    const gitignorePatterns = await getGitIgnoredPatterns(basePath);
+    if (gitignorePatterns === null) {
+      logger.warn(`Warning: --respect-gitignore has no effect: '${path.relative(process.cwd(), targetPath) || '.'}' is not inside a git repository.`);
+    } else {
+      runOptions.gitignorePatterns = gitignorePatterns;
+      runOptions.ignorePatterns = runOptions.ignorePatterns.concat(gitignorePatterns);
+      if (options.verbose) logger.log(`Ignoring ${gitignorePatterns.length} path(s) excluded by git.`);
+    }
+  }
+
+  // Limit the run to what git reports as changed
+  if (options.changedSince || options.staged) {
+    runOptions.changedFiles = await getChangedFiles(targetPath, { changedSince: options.changedSince, staged: options.staged });
+    if (options.verbose) {
+      logger.log(`${runOptions.changedFiles.size} file(s) changed ${options.changedSince ? `since ${options.changedSince}` : ''}${options.changedSince && options.staged ? ' or ' : ''}${options.staged ? 'in the index' : ''}.`);
+    }
+  }
+
+  // Every file is mangled with one set of names: those of --name-cache, or with --mangle-props a set for this run
+  if (options.nameCache || options.mangleProps) {
+    runOptions.sharedNameCache = options.nameCache ? await loadNameCache(options.nameCache) : {};
+    if (options.verbose) {
+      logger.log(`Sharing mangled names across files${options.nameCache ? ` (name cache: ${options.nameCache})` : ''}; files are minified one at a time.`);
+    }
+  }
+
+  if (options.cache && runOptions.sharedNameCache && !options.nameCache) {
+    // A file skipped by the cache wouldn't add its property names, so other files could reuse them
+    logger.warn('Warning: --cache is ignored with --mangle-props unless --name-cache is given.');
+    runOptions.cache = null;
+  } else if (options.cache) {
+    const cacheFilePath = path.resolve(process.cwd(), options.cacheLocation || DEFAULT_CACHE_FILE);
+    runOptions.cache = await loadCache(cacheFilePath, logger);
+    if (options.verbose) {
+      logger.log(`Using cache: ${cacheFilePath} (${Object.keys(runOptions.cache.entries).length} entries)`);
+    }
+  }
+
+  return { runOptions, ignoreFilePatterns };
+}
+
+module.exports = {
+  resolveOptions,
+  prepareRun,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// The last `//# sourceMappingURL=...` or `/*# sourceMappingURL=... */` comment in a file (the legacy `//@` form too).
+const SOURCE_MAPPING_URL_REGEX = /(?:\/\/[#@]\s*sourceMappingURL=([^\s'"]+)\s*$|\/\*[#@]\s*sourceMappingURL=([^\s*'"]+)\s*\*\/)/gm;
+
+/**
+ * Finds the source map URL an input file points at.
+ * @param {string} content The file content.
+ * @returns {string|null} The URL of the last sourceMappingURL comment, or null if there is none.
+ */
+function getSourceMappingUrl(content) {
+  let url = null;
+  for (const match of content.matchAll(SOURCE_MAPPING_URL_REGEX)) {
+    url = match[1] || match[2];
+  }
+  return url;
+}
+
+/**
+ * Decodes an inline source map from a data: URI (base64 or URL-encoded).
+ * @param {string} url The data: URI.
+ * @returns {object} The parsed source map.
+ * @throws {Error} If the URI is malformed or doesn't hold JSON.
+ */
+function decodeDataUri(url) {
+  const match = url.match(/^data:([^,]*),(.*)$/s);
+  if (!match) throw new Error('Malformed data: URI.');
+  const json = /;base64$/i.test(match[1])
+    ? Buffer.from(match[2], 'base64').toString('utf8')
+    : decodeURIComponent(match[2]);
+  return JSON.parse(json);
+}
+
+/**
+ * Turns the sources of a map into absolute paths, resolved against the map's location and sourceRoot,
+ * so they stay correct wherever the chained map ends up.
+ * @param {object} map The source map.
+ * @param {string} mapDir The directory the map's sources are relative to.
+ * @returns {object} The map with absolute sources and no sourceRoot.
+ */
+function absolutizeSources(map, mapDir) {
+  const root = map.sourceRoot || '';
+  const sources = (map.sources || []).map(source => {
+    if (source === null || /^[a-z][a-z0-9+.-]*:/i.test(source)) return source;
+    return path.resolve(mapDir, root, source);
+  });
+  const { sourceRoot, ...rest } = map;
+  return { ...rest, sources };
+}
+
+/**
+ * Loads the source map an input file ships with: inline as a data: URI, or a file referenced by its
+ * sourceMappingURL comment. Sources in the returned map are absolute paths.
+ * @param {string} content The file content.
+ * @param {string} filePath The absolute path to the file.
+ * @returns {Promise<{map: object, mapPath: string|null}|null>} The input map and where it was read from, or null if there is none.
+ * @throws {Error} If a referenced map can't be read or parsed.
+ */
+async function loadInputSourceMap(content, filePath) {
+  const url = getSourceMappingUrl(content);
+  if (!url) return null;
+
+  if (url.startsWith('data:')) {
+    return { map: absolutizeSources(decodeDataUri(url), path.dirname(filePath)), mapPath: null };
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return null; // http: and the like can't be followed offline
+
+  const mapPath = path.resolve(path.dirname(filePath), decodeURI(url.split(/[?#]/)[0]));
+  const map = JSON.parse(await fs.readFile(mapPath, 'utf8'));
+  return { map: absolutizeSources(map, path.dirname(mapPath)), mapPath };
+}
+
+/**
+ * Makes the absolute sources of a (chained) map relative to the directory the map is read from.
+ * @param {object} map The source map.
+ * @param {string} mapDir The directory of the map file (or of the output, for an inline map).
+ * @returns {object} The map with relative sources.
+ */
+function relativizeSources(map, mapDir) {
+  const sources = (map.sources || []).map(source => (
+    source && path.isAbsolute(source) ? path.relative(mapDir, source).replace(/\\/g, '/') : source
+  ));
+  return { ...map, sources };
+}
+
+/**
+ * Builds the comment that embeds a source map in its output as a base64 data: URI.
+ * @param {string} mapContent The source map JSON.
+ * @param {string} type The file type; CSS needs a block comment.
+ * @returns {string} The sourceMappingURL comment, starting with a newline.
+ */
+function toInlineSourceMapComment(mapContent, type) {
+  const url = `data:application/json;charset=utf-8;base64,${Buffer.from(mapContent, 'utf8').toString('base64')}`;
+  return type === 'css' ? `\n/*# sourceMappingURL=${url} */` : `\n//# sourceMappingURL=${url}`;
+}
+
+module.exports = {
+  getSourceMappingUrl,
+  decodeDataUri,
+  loadInputSourceMap,
+  relativizeSources,
+  toInlineSourceMapComment,
+};
@@ -0,0 +1,78 @@
+const browserslist = require('browserslist');
+
+// The first version of each browser that runs the syntax Terser emits at an ecma level. Terser only
+// distinguishes 2015 (arrow functions, shorthand properties, ...) and 2020 (`??`); below 2015 it emits ES5.
+// Browsers that aren't listed (IE, Opera Mini, BlackBerry, ...) are assumed to need ES5.
+const ECMA_MIN_VERSIONS = {
+  2020: {
+    chrome: '80', and_chr: '80', android: '80', edge: '80', opera: '67', op_mob: '57', samsung: '13',
+    firefox: '74', and_ff: '79', safari: '13.1', ios_saf: '13.4', kaios: '3.0', and_uc: '15.5', and_qq: '14.9', node: '14',
+  },
+  2015: {
+    chrome: '51', and_chr: '51', android: '51', edge: '15', opera: '38', op_mob: '41', samsung: '5',
+    firefox: '54', and_ff: '54', safari: '10', ios_saf: '10', kaios: '3.0', and_uc: '15.5', and_qq: '14.9', node: '6',
+  },
+};
+
+// Resolved queries, keyed by the query. Every worker thread resolves its own.
+const resolvedTargets = new Map();
+
+/**
+ * Normalizes the --targets option or the config "targets" key into a browserslist query.
+ * @param {string|string[]} [value] A browserslist query such as "defaults, not ie 11", or an array of queries.
+ * @returns {string[]|null} The queries, or null if no targets are set.
+ * @throws {Error} If browserslist doesn't understand the query.
+ */
+function parseTargets(value) {
+  if (!value || (Array.isArray(value) && value.length === 0)) return null;
+  const queries = (Array.isArray(value) ? value : String(value).split(','))
+    .map(query => String(query).trim())
+    .filter(Boolean);
+  try {
+    browserslist(queries);
+  } catch (queryError) {
+    throw new Error(`Invalid targets '${queries.join(', ')}': ${queryError.message}`);
+  }
+  return queries;
+}
+
+/**
+ * Compares two browser versions, e.g. "13.4" and "13.10". A range such as "13.4-13.7" counts as its
+ * lowest version, and "TP" (a technology preview) as newer than any release.
+ * @param {string} version The version browserslist reports.
+ * @param {string} minimum The minimum version.
+ * @returns {boolean} True if version is at least minimum.
+ */
+function isAtLeast(version, minimum) {
+  if (version === 'TP') return true;
+  const parts = version.split('-')[0].split('.').map(Number);
+  const minimumParts = minimum.split('.').map(Number);
+  for (let i = 0; i < Math.max(parts.length, minimumParts.length); i++) {
+    const difference = (parts[i] || 0) - (minimumParts[i] || 0);
+    if (Number.isNaN(difference)) return false;
+    if (difference !== 0) return difference > 0;
+  }
+  return true;
+}
+
+/**
+ * Works out the newest ecma level Terser may emit for every browser the targets cover.
+ * @param {string[]} targets The browserslist queries from parseTargets.
+ * @returns {number} 2020, 2015 or 5.
+ */
+function getEcmaVersion(targets) {
+  const key = targets.join(', ');
+  if (resolvedTargets.has(key)) return resolvedTargets.get(key);
+
+  const browsers = browserslist(targets).map(browser => browser.split(' '));
+  const ecma = [2020, 2015].find(level => browsers.every(([name, version]) => (
+    ECMA_MIN_VERSIONS[level][name] !== undefined && isAtLeast(version, ECMA_MIN_VERSIONS[level][name])
+  ))) || 5;
+  resolvedTargets.set(key, ecma);
+  return ecma;
+}
+
+module.exports = {
+  parseTargets,
+  getEcmaVersion,
+};
@@ -0,0 +1,107 @@
+const { getEcmaVersion } = require('./targets');
+
+/**
+ * Merges options over defaults. Nested option groups (compress, mangle, format, a preset's plugin options, ...)
+ * are merged key by key, so e.g. compress.passes can be set without losing compress.drop_console.
+ * @param {object} defaults The default options.
+ * @param {object} [overrides] The options to merge over them.
+ * @returns {object} The merged options.
+ */
+function mergeOptionGroups(defaults, overrides) {
+  const isGroup = (value) => value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isGroup(value) && isGroup(merged[key]) ? mergeOptionGroups(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Parses the --mangle-props-regex option: a pattern such as "^_", or a /regular expression/ with flags.
+ * @param {string|RegExp} [value] The pattern.
+ * @returns {string|RegExp|undefined} What Terser's mangle.properties.regex takes.
+ * @throws {Error} If the regular expression is invalid.
+ */
+function parseManglePropsRegex(value) {
+  if (!value || value instanceof RegExp) return value || undefined;
+  const regexMatch = String(value).match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+    new RegExp(value); // Only checks that the pattern is valid
+    return String(value);
+  } catch (regexError) {
+    throw new Error(`Invalid --mangle-props-regex '${value}': ${regexError.message}`);
+  }
+}
+
+/**
+ * Builds the Terser options for a JavaScript file: the CLI flags, the ecma level of the targets, then the
+ * config's raw "terser" options over them. Source map options are added by the caller. With a shared name
+ * cache, every file of the run is mangled with (and adds to) the same names.
+ * @param {string} type 'js', 'mjs' or 'cjs'.
+ * @param {object} options The minifier options (uses dropConsole, mangle, mangleProps, targets, terser and
+ *   sharedNameCache).
+ * @returns {object} The Terser options.
+ */
+function getTerserOptions(type, options) {
+  const mangleProperties = {
+    ...(options.manglePropsRegex ? { regex: options.manglePropsRegex } : {}),
+    ...(options.manglePropsReserved && options.manglePropsReserved.length > 0 ? { reserved: options.manglePropsReserved } : {}),
+  };
+  return mergeOptionGroups({
+    // ES modules are strict and scoped, CommonJS modules are wrapped in a function: in both, top-level
+    // names are local and can be mangled and dropped like any other.
+    module: type === 'mjs',
+    toplevel: type === 'mjs' || type === 'cjs',
+    compress: { drop_console: options.dropConsole },
+    mangle: options.mangleProps && options.mangle !== false ? { properties: mangleProperties } : options.mangle,
+    ...(options.targets ? { ecma: getEcmaVersion(options.targets) } : {}),
+    ...(options.sharedNameCache ? { nameCache: options.sharedNameCache } : {}),
+  }, options.terser);
+}
+
+/**
+ * Builds the cssnano options: its default preset, told about the targets, with the config's raw "cssnano"
+ * options over it. A "preset" of the config may name another preset, give preset options, or both.
+ * @param {object} options The minifier options (uses targets and cssnano).
+ * @returns {object} The cssnano options.
+ */
+function getCssnanoOptions(options) {
+  const { preset, ...rest } = options.cssnano || {};
+  const [presetName, presetOptions] = Array.isArray(preset) ? preset : [preset || 'default', {}];
+  return {
+    ...rest,
+    preset: [presetName, mergeOptionGroups(options.targets ? { overrideBrowserslist: options.targets } : {}, presetOptions)],
+  };
+}
+
+/**
+ * Builds the html-minifier-terser options: the CLI flags, then the config's raw "htmlMinifier" options over
+ * them. Inline scripts are minified with the Terser options of the run once targets, "terser" options,
+ * property mangling or a name cache are set. Custom fragments given as strings (from a JSON config) are turned into regular expressions.
+ * @param {object} options The minifier options.
+ * @returns {object} The html-minifier-terser options.
+ */
+function getHtmlMinifierOptions(options) {
+  const htmlMinifierOptions = mergeOptionGroups({
+    collapseWhitespace: options.collapseWhitespace,
+    removeComments: options.removeComments,
+    removeRedundantAttributes: options.removeRedundantAttributes,
+    useShortDoctype: options.useShortDoctype,
+    minifyCSS: options.minifyCss,
+    minifyJS: options.minifyJs && (options.targets || options.terser || options.mangleProps || options.sharedNameCache) ? getTerserOptions('js', options) : options.minifyJs,
+  }, options.htmlMinifier);
+  if (Array.isArray(htmlMinifierOptions.ignoreCustomFragments)) {
+    htmlMinifierOptions.ignoreCustomFragments = htmlMinifierOptions.ignoreCustomFragments
+      .map(fragment => (typeof fragment === 'string' ? new RegExp(fragment) : fragment));
+  }
+  return htmlMinifierOptions;
+}
+
+module.exports = {
+  mergeOptionGroups,
+  parseManglePropsRegex,
+  getTerserOptions,
+  getCssnanoOptions,
+  getHtmlMinifierOptions,
+};
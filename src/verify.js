@@ -0,0 +1,147 @@
+const path = require('path');
+const postcss = require('postcss');
+const { minify: terserMinify } = require('terser');
+
+// Inputs at least this large with a line this long and this little whitespace look like a minifier's output.
+const MINIFIED_MIN_SIZE = 1024;
+const MINIFIED_MIN_LINE_LENGTH = 500;
+const MINIFIED_MAX_WHITESPACE_RATIO = 0.05;
+// A vendor bundle behind a license banner only needs one long line.
+const BANNER_MIN_LINE_LENGTH = 200;
+
+// Types whose content is checked for looking minified; any type is recognized by a .min. file name.
+const DENSITY_CHECKED_TYPES = ['js', 'mjs', 'cjs', 'css'];
+
+// A leading /*! ... */ comment, or any leading block comment with @license or @preserve.
+const LICENSE_BANNER_REGEX = /^\s*\/\*(?:!|(?:(?!\*\/)[\s\S])*@(?:license|preserve))(?:(?!\*\/)[\s\S])*\*\//;
+
+/**
+ * Tells whether an input is already minified, so it can be skipped: a `.min.`/`-min.` file name, long lines
+ * with very little whitespace, or a license banner in front of such lines (a vendor bundle).
+ * @param {string} content The file content.
+ * @param {string} filePath The path to the file.
+ * @param {string} type The file type.
+ * @returns {string|null} Why the file looks minified, or null if it doesn't.
+ */
+function detectAlreadyMinified(content, filePath, type) {
+  if (/[.-]min\.[^.]+$/i.test(path.basename(filePath))) return 'min file name';
+  if (!DENSITY_CHECKED_TYPES.includes(type)) return null;
+
+  const banner = content.match(LICENSE_BANNER_REGEX);
+  const body = banner ? content.slice(banner[0].length) : content;
+  const longestLine = body.split('\n').reduce((longest, line) => Math.max(longest, line.length), 0);
+  const whitespace = (body.match(/\s/g) || []).length;
+  const whitespaceRatio = body.length > 0 ? whitespace / body.length : 1;
+
+  if (banner && longestLine >= BANNER_MIN_LINE_LENGTH) return 'vendor bundle with a license banner';
+  if (content.length >= MINIFIED_MIN_SIZE && longestLine >= MINIFIED_MIN_LINE_LENGTH && whitespaceRatio < MINIFIED_MAX_WHITESPACE_RATIO) {
+    return 'long lines with little whitespace';
+  }
+  return null;
+}
+
+// Elements that never have content or an end tag.
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Start tags that close an open <p>, like the browser does.
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul',
+]);
+// Start tags that close open elements with optional end tags, up to (not past) the listed container elements.
+const IMPLIED_END_TAGS = {
+  li: { closes: ['li'], within: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], within: ['dl'] },
+  dd: { closes: ['dt', 'dd'], within: ['dl'] },
+  option: { closes: ['option'], within: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['option', 'optgroup'], within: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], within: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], within: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], within: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], within: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], within: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], within: ['table'] },
+};
+// Elements whose tags are optional altogether, so a minifier may drop them.
+const OPTIONAL_ELEMENTS = new Set(['html', 'head', 'body', 'tbody', 'colgroup']);
+
+/**
+ * Builds the element tree of an HTML or XML document and lists it in document order, each element with its
+ * depth. In HTML, the end tags a browser would imply (<p>, <li>, <td>, ...) are filled in first, so a minifier
+ * that drops optional tags keeps the same tree. Comments, CDATA and the contents of <script> and <style> are
+ * left out, since minification legitimately rewrites them.
+ * @param {string} markup The document.
+ * @param {boolean} isHtml Whether to apply HTML's void elements and implied end tags.
+ * @returns {string[]} The elements, e.g. ['0 ul', '1 li', '1 li'].
+ */
+function getElementStructure(markup, isHtml) {
+  const stripped = markup
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '<$1></$1>');
+  const elements = [];
+  const open = [];
+  const closeUntil = (index) => { open.length = index; };
+
+  for (const [tag, closing, rawName, attributes] of stripped.matchAll(/<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g)) {
+    const name = isHtml ? rawName.toLowerCase() : rawName;
+    if (isHtml && OPTIONAL_ELEMENTS.has(name)) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index !== -1) closeUntil(index); // A stray end tag closes nothing
+      continue;
+    }
+    if (isHtml && CLOSES_P.has(name)) {
+      const index = open.lastIndexOf('p');
+      if (index !== -1 && !open.slice(index).some(openName => openName === 'button' || openName === 'table')) closeUntil(index);
+    }
+    const implied = isHtml && IMPLIED_END_TAGS[name];
+    if (implied) {
+      for (let index = open.length - 1; index >= 0 && !implied.within.includes(open[index]); index--) {
+        if (implied.closes.includes(open[index])) closeUntil(index);
+      }
+    }
+    elements.push(`${open.length} ${name}`);
+    if (!(isHtml && VOID_ELEMENTS.has(name)) && !/\/\s*$/.test(attributes) && !tag.endsWith('/>')) open.push(name);
+  }
+  return elements;
+}
+
+/**
+ * Checks that minified output is still valid before it is written: JavaScript and CSS are parsed again,
+ * JSON is parsed, and HTML and SVG/XML must keep the element structure of the input.
+ * @param {string} code The minified output.
+ * @param {string} originalCode The input it was minified from.
+ * @param {string} type The file type.
+ * @returns {Promise<void>}
+ * @throws {Error} If the output doesn't pass the check.
+ */
+async function verifyOutput(code, originalCode, type) {
+  try {
+    if (type === 'js' || type === 'mjs' || type === 'cjs') {
+      // Parsing only: no compression, mangling or output
+      await terserMinify(code, { compress: false, mangle: false, module: type === 'mjs', format: { code: false } });
+    } else if (type === 'css') {
+      postcss.parse(code);
+    } else if (type === 'json') {
+      JSON.parse(code);
+    } else if (type === 'html' || type === 'svg' || type === 'xml') {
+      const before = getElementStructure(originalCode, type === 'html');
+      const after = getElementStructure(code, type === 'html');
+      const index = before.findIndex((element, i) => element !== after[i]);
+      if (index !== -1 || after.length !== before.length) {
+        const at = index === -1 ? before.length : index;
+        const describe = element => (element ? `<${element.split(' ')[1]}> at depth ${element.split(' ')[0]}` : '(end)');
+        throw new Error(`element structure changed at element #${at + 1}: expected ${describe(before[at])}, got ${describe(after[at])}`);
+      }
+    }
+  } catch (verifyError) {
+    throw new Error(`Verification failed: ${verifyError.message}`);
+  }
+}
+
+module.exports = {
+  detectAlreadyMinified,
+  verifyOutput,
+};
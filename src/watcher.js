@@ -0,0 +1,336 @@
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  processFile,
+  formatBytes,
+} = require('./minifier');
+const { getFileType } = require('./file-types');
+const { IGNORE_FILE_NAME, loadIgnoreFile, isIgnored, getIgnoreSettings } = require('./ignore');
+const { saveCache, updateCache, hashContent, stableStringify } = require('./cache');
+const { recordBackups, isInBackupDir } = require('./backup');
+const { getGitIgnoredPaths } = require('./git');
+const { saveNameCache } = require('./name-cache');
+const { isHashedOutputPattern, getOutputPaths, getOutputRoot } = require('./output-paths');
+const { getAssetPhase, recordAsset, loadManifest, removeAssetOutput, writeManifest } = require('./assets');
+const { getCompressedPaths } = require('./compress');
+const { PURGE_CONTENT_TYPES, extractUsedNames } = require('./purge-css');
+
+// How long to wait after the last file system event before processing a batch of changes.
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Checks whether a path lies inside a directory (or is the directory itself).
+ * @param {string} childPath The absolute path to check.
+ * @param {string} parentDir The absolute directory path.
+ * @returns {boolean} True if childPath is inside parentDir.
+ */
+function isInside(childPath, parentDir) {
+  const relative = path.relative(parentDir, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Checks a changed file against the ignore rules of the run, including the nested .minifierignore files found
+ * so far. isIgnored walks the file's parent directories, so a file inside an ignored directory is ignored too,
+ * as in the initial traversal. Files in the backup directory are always ignored.
+ * @param {string} filePath The absolute path to the file.
+ * @param {object} options The minifier options.
+ * @returns {boolean} True if the file or one of its parent directories is ignored.
+ */
+function isIgnoredByRun(filePath, options) {
+  if (isInBackupDir(filePath)) return true;
+  if (!options.ignorePatterns) return false;
+  return isIgnored(filePath, options.ignorePatterns, options.basePath, getIgnoreSettings(options));
+}
+
+/**
+ * Returns the current time as HH:MM:SS for log prefixes.
+ * @returns {string} The formatted time.
+ */
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+/**
+ * Watches a file or directory and re-minifies eligible files when they are added or changed.
+ * Deleting a source also removes its output and source map when an output directory is used.
+ * @param {string} targetPath The absolute path to the watched file or directory.
+ * @param {object} options The minifier options, as passed to processFile.
+ * @returns {Promise<{close: function(): void}>} A handle to stop watching.
+ */
+async function watch(targetPath, options) {
+  const watchOptions = { ...options, nestedIgnores: [...(options.nestedIgnores || [])] };
+  const logger = watchOptions.logger || console;
+  const stat = await fs.stat(targetPath);
+  const watchRoot = stat.isDirectory() ? targetPath : path.dirname(targetPath);
+  const onlyFile = stat.isDirectory() ? null : targetPath;
+  const outputRoot = getOutputRoot(watchOptions);
+  const hashedOutput = isHashedOutputPattern(watchOptions.outputDir);
+
+  // With hashed outputs, the manifest from the initial run tells us where each source's output lives.
+  if (hashedOutput) {
+    watchOptions.assetMap = await loadManifest(watchOptions);
+    watchOptions.assetMapHash = hashContent(stableStringify(watchOptions.assetMap));
+  }
+
+  // Outputs we wrote ourselves, keyed by path, so their change events don't trigger another pass.
+  const writtenMtimes = new Map();
+  const pending = new Set();
+  let removedAssetKeys = [];
+  let debounceTimer = null;
+  let running = false;
+
+  // Names used by the pages and scripts, for --purge-css. They only grow while watching: a name that is no
+  // longer used keeps its rules until the next full run.
+  const usedNames = watchOptions.purgeCss && watchOptions.usedNames ? new Set(watchOptions.usedNames) : null;
+
+  const addUsedNames = async (filePath) => {
+    let added = false;
+    try {
+      for (const name of extractUsedNames(await fs.readFile(filePath, 'utf8'))) {
+        if (!usedNames.has(name)) {
+          usedNames.add(name);
+          added = true;
+        }
+      }
+    } catch (readError) {
+      // processFile reports files that can't be read.
+    }
+    if (added) {
+      watchOptions.usedNames = [...usedNames].sort();
+      watchOptions.usedNamesHash = hashContent(watchOptions.usedNames.join('\n'));
+    }
+    return added;
+  };
+
+  const rememberWrite = async (filePath) => {
+    try {
+      writtenMtimes.set(filePath, (await fs.stat(filePath)).mtimeMs);
+    } catch (statError) {
+      writtenMtimes.delete(filePath);
+    }
+  };
+
+  const isOwnWrite = async (filePath) => {
+    if (!writtenMtimes.has(filePath)) return false;
+    try {
+      return (await fs.stat(filePath)).mtimeMs === writtenMtimes.get(filePath);
+    } catch (statError) {
+      return false;
+    }
+  };
+
+  const removeOutputs = async (filePath) => {
+    if (hashedOutput) {
+      const key = path.relative(watchOptions.basePath, filePath).replace(/\\/g, '/');
+      const value = watchOptions.assetMap[key];
+      if (!value) return [];
+      if (!watchOptions.dryRun) {
+        await removeAssetOutput(key, value, watchOptions);
+        delete watchOptions.assetMap[key];
+        removedAssetKeys.push(key);
+      }
+      return [path.join(outputRoot, value)];
+    }
+
+    const { outputFilePath, sourceMapFilePath } = getOutputPaths(filePath, watchOptions);
+    const removed = [];
+    for (const target of [outputFilePath, sourceMapFilePath, ...getCompressedPaths(outputFilePath)]) {
+      if (target === filePath) continue;
+      if (watchOptions.dryRun) {
+        if (fsSync.existsSync(target)) removed.push(target);
+        continue;
+      }
+      try {
+        await fs.unlink(target);
+        removed.push(target);
+        writtenMtimes.delete(target);
+      } catch (unlinkError) {
+        if (unlinkError.code !== 'ENOENT') {
+          logger.error(`Failed to remove ${path.relative(process.cwd(), target)}: ${unlinkError.message}`);
+        }
+      }
+    }
+    return removed;
+  };
+
+  const flush = async () => {
+    if (running) return;
+    running = true;
+
+    const batch = [...pending];
+    pending.clear();
+    const summary = { minified: 0, unchanged: 0, removed: 0, errors: 0, saved: 0 };
+    const results = [];
+    const processed = new Set();
+    let renamedPhase = null;
+    let usedNamesChanged = false;
+
+    // Process standalone assets before the CSS and HTML that may reference them.
+    batch.sort((a, b) => getAssetPhase(a, watchOptions) - getAssetPhase(b, watchOptions));
+
+    for (const filePath of batch) {
+      if (watchOptions.ignoreFilePath && filePath === watchOptions.ignoreFilePath) {
+        watchOptions.ignorePatterns = (await loadIgnoreFile(filePath, logger)).concat(watchOptions.ignore || [], watchOptions.gitignorePatterns || []);
+        logger.log(`[${timestamp()}] Reloaded ignore patterns from ${path.relative(process.cwd(), filePath)}`);
+        continue;
+      }
+      // A subdirectory's own .minifierignore (the target's own is ignoreFilePath, handled above)
+      const dir = path.dirname(filePath);
+      if (watchOptions.ignorePatterns && path.basename(filePath) === IGNORE_FILE_NAME && dir !== watchOptions.basePath && isInside(dir, watchOptions.basePath)) {
+        watchOptions.nestedIgnores = watchOptions.nestedIgnores.filter(nested => nested.dir !== dir);
+        if (fsSync.existsSync(filePath)) {
+          watchOptions.nestedIgnores.push({ dir, patterns: await loadIgnoreFile(filePath, logger) });
+        }
+        logger.log(`[${timestamp()}] Reloaded ignore patterns from ${path.relative(process.cwd(), filePath)}`);
+        continue;
+      }
+
+      let fileStat = null;
+      try {
+        fileStat = await fs.stat(filePath);
+      } catch (statError) {
+        // The path no longer exists; it was deleted or renamed away.
+      }
+
+      if (!fileStat) {
+        if (!getFileType(filePath, watchOptions)) continue;
+        if (!watchOptions.outputDir || isIgnoredByRun(filePath, watchOptions)) continue;
+        const removed = await removeOutputs(filePath);
+        for (const target of removed) {
+          const prefix = watchOptions.dryRun ? '[DRY RUN] Would remove' : 'Removed';
+          logger.log(`${prefix}: ${path.relative(process.cwd(), target)}`);
+        }
+        if (removed.length > 0) summary.removed++;
+        continue;
+      }
+
+      // A directory that was moved or copied into the tree: pick up every eligible file inside it.
+      let candidates = [filePath];
+      if (fileStat.isDirectory()) {
+        const entries = await fs.readdir(filePath, { recursive: true });
+        candidates = entries.map(entry => path.join(filePath, entry));
+      }
+
+      candidates = candidates.filter(candidate => getFileType(candidate, watchOptions) && !isIgnoredByRun(candidate, watchOptions));
+      // With --respect-gitignore, files created since the run started (build output, logs, ...) are checked too
+      if (watchOptions.gitignorePatterns) {
+        const gitIgnored = await getGitIgnoredPaths(watchOptions.basePath, candidates);
+        candidates = candidates.filter(candidate => !gitIgnored.has(candidate));
+      }
+
+      for (const candidate of candidates) {
+        if (await isOwnWrite(candidate)) continue;
+        if (usedNames && PURGE_CONTENT_TYPES.includes(getFileType(candidate, watchOptions)) && await addUsedNames(candidate)) {
+          usedNamesChanged = true;
+        }
+
+        const result = await processFile(candidate, watchOptions);
+        results.push(result);
+        processed.add(candidate);
+        if (hashedOutput && recordAsset(watchOptions.assetMap, result, watchOptions)) {
+          watchOptions.assetMapHash = hashContent(stableStringify(watchOptions.assetMap));
+          const phase = getAssetPhase(candidate, watchOptions);
+          if (renamedPhase === null || phase < renamedPhase) renamedPhase = phase;
+        }
+        if (result.status === 'Minified' || result.status === '[DRY RUN] Minified') {
+          summary.minified++;
+          summary.saved += result.reduction;
+          if (!watchOptions.dryRun) {
+            await rememberWrite(path.resolve(process.cwd(), result.outputFilePath));
+            if (result.sourceMapPath) await rememberWrite(path.resolve(process.cwd(), result.sourceMapPath));
+          }
+        } else if (result.status === 'Error') {
+          summary.errors++;
+        } else if (['No Change', 'Cached', 'Already Minified'].includes(result.status)) {
+          summary.unchanged++;
+        }
+      }
+    }
+
+    if (watchOptions.cache && !watchOptions.dryRun && results.length > 0) {
+      updateCache(watchOptions.cache, results);
+      await saveCache(watchOptions.cache);
+    }
+
+    if (watchOptions.nameCache && watchOptions.sharedNameCache && !watchOptions.dryRun && results.length > 0) {
+      await saveNameCache(watchOptions.nameCache, watchOptions.sharedNameCache);
+    }
+
+    // Sources overwritten in place go into the same snapshot as the initial run
+    if (watchOptions.backup && !watchOptions.dryRun && results.length > 0) {
+      await recordBackups(watchOptions.backup, results);
+    }
+
+    if (hashedOutput && !watchOptions.dryRun && (results.length > 0 || removedAssetKeys.length > 0)) {
+      await writeManifest(watchOptions.assetMap, watchOptions, removedAssetKeys);
+      removedAssetKeys = [];
+    }
+
+    // An asset got a new hashed name: re-process the CSS and HTML that may reference it. Files of a later
+    // phase that were in this batch already saw the new name, since the batch is processed in phase order.
+    if (renamedPhase !== null) {
+      for (const key of Object.keys(watchOptions.assetMap)) {
+        const dependent = path.join(watchOptions.basePath, key);
+        if (getAssetPhase(key, watchOptions) > renamedPhase && !processed.has(dependent)) pending.add(dependent);
+      }
+    }
+
+    // A page or script uses a name it didn't before: purge the stylesheets again, so its rules come back.
+    // That includes stylesheets of this batch, which may have been processed before the page.
+    if (usedNamesChanged) {
+      for (const entry of await fs.readdir(watchRoot, { recursive: true })) {
+        const stylesheet = path.join(watchRoot, entry);
+        if (getFileType(stylesheet, watchOptions) !== 'css') continue;
+        if (outputRoot && outputRoot !== watchOptions.basePath && isInside(stylesheet, outputRoot)) continue;
+        if (!isIgnoredByRun(stylesheet, watchOptions)) pending.add(stylesheet);
+      }
+    }
+
+    const total = summary.minified + summary.unchanged + summary.removed + summary.errors;
+    if (total > 0) {
+      logger.log(`[${timestamp()}] ${total} change(s): ${summary.minified} minified, ${summary.unchanged} unchanged, ${summary.removed} removed, ${summary.errors} error(s) (Saved: ${formatBytes(summary.saved)})`);
+    }
+
+    running = false;
+    if (pending.size > 0) schedule();
+  };
+
+  const schedule = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      flush().catch(flushError => {
+        running = false;
+        logger.error(`Watch error: ${flushError.message}`);
+      });
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  const watcher = fsSync.watch(watchRoot, { recursive: !onlyFile }, (eventType, fileName) => {
+    if (!fileName) return;
+    const changedPath = path.join(watchRoot, fileName.toString());
+
+    if (onlyFile && changedPath !== onlyFile && changedPath !== watchOptions.ignoreFilePath) return;
+    // Never react to files inside the output directory when it lives within the watched tree.
+    if (outputRoot && outputRoot !== watchOptions.basePath && isInside(changedPath, outputRoot)) return;
+
+    pending.add(changedPath);
+    schedule();
+  });
+
+  watcher.on('error', (watchError) => {
+    logger.error(`Watch error: ${watchError.message}`);
+  });
+
+  return {
+    close() {
+      clearTimeout(debounceTimer);
+      watcher.close();
+    },
+  };
+}
+
+module.exports = {
+  watch,
+};
@@ -0,0 +1,22 @@
+const { parentPort, workerData } = require('worker_threads');
+const { minifyFile, listDirectory } = require('./minifier');
+
+// Worker entry point for WorkerPool: lists a directory or minifies a file per message and sends back the
+// result and buffered logs. Plugins' onResult hooks run on the main thread once the result is back (see applyResultHooks).
+parentPort.on('message', async ({ filePath, directory, nestedIgnores, matchFiles }) => {
+  const logs = [];
+  const logger = {
+    log: (...args) => logs.push({ level: 'log', args }),
+    warn: (...args) => logs.push({ level: 'warn', args }),
+    error: (...args) => logs.push({ level: 'error', args }),
+  };
+
+  try {
+    const result = directory
+      ? await listDirectory(directory, { ...workerData.options, nestedIgnores, logger }, matchFiles)
+      : await minifyFile(filePath, { ...workerData.options, logger });
+    parentPort.postMessage({ result, logs });
+  } catch (processError) {
+    parentPort.postMessage({ error: processError.message, logs });
+  }
+});